@@ -10,6 +10,8 @@ CREATE TABLE IF NOT EXISTS movies (
     imdb_id VARCHAR(20),
     info_hash VARCHAR(40),
     torrent_files JSONB,
+    torrent_metainfo BYTEA,
+    default_file_index INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -78,8 +80,155 @@ CREATE TABLE IF NOT EXISTS torrent_cache (
     total_length BIGINT,
     file_count INTEGER,
     video_files JSONB,
+    subtitle_files JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_torrent_cache_hash ON torrent_cache(info_hash);
+
+-- TV series: a series has seasons, each episode points at one file inside a torrent
+CREATE TABLE IF NOT EXISTS series (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    year INTEGER,
+    genre VARCHAR(100),
+    poster_url TEXT,
+    imdb_id VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    series_id INTEGER NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+    season_number INTEGER NOT NULL,
+    title VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(series_id, season_number)
+);
+
+CREATE TABLE IF NOT EXISTS episodes (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    episode_number INTEGER NOT NULL,
+    title VARCHAR(255),
+    description TEXT,
+    magnet TEXT NOT NULL,
+    info_hash VARCHAR(40),
+    file_index INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(season_id, episode_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_series_title ON series(title);
+CREATE INDEX IF NOT EXISTS idx_seasons_series_id ON seasons(series_id);
+CREATE INDEX IF NOT EXISTS idx_episodes_season_id ON episodes(season_id);
+
+-- Subtitles uploaded by admins, normalised to WebVTT on upload
+CREATE TABLE IF NOT EXISTS movie_subtitles (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    language VARCHAR(20),
+    label VARCHAR(100) NOT NULL,
+    file_name VARCHAR(255),
+    vtt TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_subtitles_movie_id ON movie_subtitles(movie_id);
+
+-- Per-user subtitle sync for a movie or an episode; exactly one of movie_id/episode_id is set
+CREATE TABLE IF NOT EXISTS user_subtitle_preferences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    movie_id INTEGER REFERENCES movies(id) ON DELETE CASCADE,
+    episode_id INTEGER REFERENCES episodes(id) ON DELETE CASCADE,
+    offset_ms INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, movie_id),
+    UNIQUE(user_id, episode_id)
+);
+
+-- Intro and end-credit ranges found by the background detector, in seconds of the file.
+-- info_hash/file_index record which file they describe, so a changed magnet or file makes them stale.
+CREATE TABLE IF NOT EXISTS media_markers (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER REFERENCES movies(id) ON DELETE CASCADE,
+    episode_id INTEGER REFERENCES episodes(id) ON DELETE CASCADE,
+    info_hash VARCHAR(40) NOT NULL,
+    file_index INTEGER NOT NULL,
+    intro_start REAL,
+    intro_end REAL,
+    credits_start REAL,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(movie_id),
+    UNIQUE(episode_id)
+);
+
+-- Chapter starts in seconds. 'container' rows come from the file's own chapter list and are
+-- replaced on every probe; once an admin saves chapters they're all 'admin' and probes leave them alone.
+CREATE TABLE IF NOT EXISTS movie_chapters (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    start_seconds REAL NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'admin',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_chapters_movie_id ON movie_chapters(movie_id);
+
+-- Latest swarm check per catalog torrent, written by the torrent proxy's health checker.
+-- failed_checks counts checks in a row that found no peers; enough of them mark the torrent dead.
+CREATE TABLE IF NOT EXISTS torrent_health (
+    id SERIAL PRIMARY KEY,
+    info_hash VARCHAR(40) UNIQUE NOT NULL,
+    seeds INTEGER NOT NULL DEFAULT 0,
+    peers INTEGER NOT NULL DEFAULT 0,
+    metadata_resolved BOOLEAN NOT NULL DEFAULT false,
+    failed_checks INTEGER NOT NULL DEFAULT 0,
+    is_dead BOOLEAN NOT NULL DEFAULT false,
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_alive_at TIMESTAMP
+);
+
+-- Alternate releases of a movie (other qualities, other groups), tried in rank order after the
+-- movie's own magnet when it can't be played
+CREATE TABLE IF NOT EXISTS movie_sources (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    magnet TEXT NOT NULL,
+    info_hash VARCHAR(40) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    default_file_index INTEGER,
+    rank INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(movie_id, info_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_sources_movie_id ON movie_sources(movie_id);
+CREATE INDEX IF NOT EXISTS idx_movie_sources_info_hash ON movie_sources(info_hash);
+
+-- Columns added after the first release; CREATE TABLE IF NOT EXISTS won't add them to existing tables
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS torrent_metainfo BYTEA;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS default_file_index INTEGER;
+ALTER TABLE torrent_cache ADD COLUMN IF NOT EXISTS subtitle_files JSONB;
+
+-- Filled in by the media probe after a movie is added; NULL until the probe succeeds
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS duration_seconds REAL;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS video_width INTEGER;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS video_height INTEGER;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS video_codec VARCHAR(20);
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS audio_codec VARCHAR(20);
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS audio_channels INTEGER;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS is_hdr BOOLEAN;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS bitrate BIGINT;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS browser_playable BOOLEAN;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS probed_at TIMESTAMP;
+
+-- Watch progress is per movie or per episode; exactly one of movie_id/episode_id is set
+ALTER TABLE user_watch_time ADD COLUMN IF NOT EXISTS episode_id INTEGER REFERENCES episodes(id) ON DELETE CASCADE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_watch_time_user_episode ON user_watch_time(user_id, episode_id);
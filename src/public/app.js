@@ -2,6 +2,7 @@ class MovieApp {
     constructor() {
         this.movies = [];
         this.filteredMovies = [];
+        this.series = [];
         this.currentSearch = '';
         this.currentGenre = 'all';
         this.isLoading = false;
@@ -43,6 +44,7 @@ class MovieApp {
             this.setupEventListeners();
             this.hideLoadingScreen();
             await this.loadMovies();
+            await this.loadSeries();
             this.setupGenreFilter();
             this.initializeAnimations();
             this.setupUserInterface();
@@ -123,6 +125,18 @@ class MovieApp {
             hideWatchHistoryBtn.addEventListener('click', this.hideWatchHistory.bind(this));
         }
 
+        // Series episode list
+        const closeSeriesModalBtn = document.getElementById('closeSeriesModal');
+        if (closeSeriesModalBtn) {
+            closeSeriesModalBtn.addEventListener('click', this.closeSeriesModal.bind(this));
+        }
+        const seriesModal = document.getElementById('seriesModal');
+        if (seriesModal) {
+            seriesModal.addEventListener('click', (e) => {
+                if (e.target === seriesModal) this.closeSeriesModal();
+            });
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
 
@@ -278,6 +292,7 @@ class MovieApp {
 
         try {
             await this.loadMovies();
+            await this.loadSeries();
             this.showToast('Movies refreshed successfully!', 'success');
         } catch (error) {
             this.showToast('Failed to refresh movies', 'error');
@@ -425,6 +440,30 @@ class MovieApp {
             .join(' ');
     }
 
+    // "1080p · HEVC · 5.1 · HDR" from the ingest probe; empty until the movie has been probed
+    formatMediaBadge(movie) {
+        if (!movie.probed_at) return '';
+
+        const parts = [];
+        // Widescreen films are letterboxed, so the width says more than the height
+        const width = movie.video_width || 0;
+        if (width >= 3800) parts.push('4K');
+        else if (width >= 2500) parts.push('1440p');
+        else if (width >= 1900) parts.push('1080p');
+        else if (width >= 1200) parts.push('720p');
+        else if (movie.video_height) parts.push(`${movie.video_height}p`);
+
+        const codecNames = { h264: 'H.264', hevc: 'HEVC', av1: 'AV1', vp9: 'VP9', vp8: 'VP8', mpeg4: 'MPEG-4' };
+        if (movie.video_codec) parts.push(codecNames[movie.video_codec] || movie.video_codec.toUpperCase());
+
+        const layouts = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+        if (movie.audio_channels) parts.push(layouts[movie.audio_channels] || `${movie.audio_channels}ch`);
+
+        if (movie.is_hdr) parts.push('HDR');
+
+        return parts.join(' · ');
+    }
+
     getGenreIcon(genre) {
         const iconMap = {
             'action': '💥',
@@ -560,7 +599,7 @@ class MovieApp {
                     <img 
                         src="${movie.poster_url || 'https://dummyimage.com/400x600/1f2937/ffffff&text=🎬'}" 
                         alt="${movie.title}"
-                        class="w-full h-72 object-cover transition-transform duration-500 group-hover:scale-110"
+                        class="w-full h-72 object-cover transition-transform duration-500 group-hover:scale-110 ${movie.isDead ? 'grayscale opacity-60' : ''}"
                         loading="lazy"
                         onerror="this.src='https://dummyimage.com/400x600/1f2937/ffffff&text=🎬'"
                     >
@@ -586,6 +625,13 @@ class MovieApp {
                         `).join('') : ''}
                     </div>
                     
+                    <!-- Dead torrent: the health checker found no peers several times in a row -->
+                    ${movie.isDead ? `
+                        <div class="absolute inset-x-0 top-1/2 -translate-y-1/2 bg-black bg-opacity-80 text-center text-sm text-red-400 font-semibold py-2">
+                            Unavailable · no peers
+                        </div>
+                    ` : ''}
+                    
                     <!-- Year Badge -->
                     ${movie.year ? `
                         <div class="absolute top-2 right-2 bg-black bg-opacity-70 text-white text-xs px-2 py-1 rounded-full">
@@ -612,6 +658,12 @@ class MovieApp {
                         ${this.highlightSearchText(movie.title)}
                     </h3>
                     
+                    ${this.formatMediaBadge(movie) ? `
+                        <div class="text-xs text-gray-300 mb-2">
+                            <span class="bg-gray-700 px-2 py-0.5 rounded">${this.formatMediaBadge(movie)}</span>
+                        </div>
+                    ` : ''}
+                    
                     <div class="flex items-center justify-between text-sm text-gray-400 mb-3">
                         <span>${movie.year || 'Unknown'}</span>
                         <div class="flex items-center space-x-1">
@@ -676,6 +728,13 @@ class MovieApp {
 
     async playMovie(movieId, cardElement = null) {
         console.log('🎬 Playing movie:', movieId);
+
+        // Nobody is sharing the torrent, so the player would only sit waiting for peers
+        const movie = this.movies.find(m => m.id === movieId);
+        if (movie && movie.isDead) {
+            this.showToast('This movie is unavailable right now, nobody is sharing it', 'error');
+            return;
+        }
         
         // Show loading state on card
         if (cardElement) {
@@ -711,6 +770,159 @@ class MovieApp {
         }
     }
 
+    async loadSeries() {
+        try {
+            const response = await fetch('/api/series', {
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${this.userToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.series = data.series || [];
+            console.log(`✅ Loaded ${this.series.length} series`);
+
+            this.renderSeries();
+        } catch (error) {
+            // Movies still work without the series section
+            console.error('❌ Error loading series:', error);
+            this.series = [];
+        }
+    }
+
+    renderSeries() {
+        const seriesSection = document.getElementById('seriesSection');
+        const seriesGrid = document.getElementById('seriesGrid');
+        if (!seriesSection || !seriesGrid) return;
+
+        const shows = this.series.filter(show => show.episode_count > 0);
+        seriesSection.classList.toggle('hidden', shows.length === 0);
+
+        seriesGrid.innerHTML = shows.map(show => `
+            <div class="series-card bg-gray-800 rounded-2xl overflow-hidden cursor-pointer group relative transform transition-all duration-300 hover:scale-105 hover:-translate-y-2" 
+                 data-series-id="${show.id}">
+                <div class="relative overflow-hidden">
+                    <img 
+                        src="${show.poster_url ? this.escapeHtml(show.poster_url) : 'https://dummyimage.com/400x600/1f2937/ffffff&text=📺'}" 
+                        alt="${this.escapeHtml(show.title)}"
+                        class="w-full h-72 object-cover transition-transform duration-500 group-hover:scale-110"
+                        loading="lazy"
+                        onerror="this.src='https://dummyimage.com/400x600/1f2937/ffffff&text=📺'"
+                    >
+                    <div class="absolute top-2 right-2 bg-black bg-opacity-70 text-white text-xs px-2 py-1 rounded-full">
+                        ${show.season_count} ${show.season_count === 1 ? 'season' : 'seasons'}
+                    </div>
+                </div>
+                <div class="p-4">
+                    <h3 class="font-bold text-lg text-white mb-2 line-clamp-1 group-hover:text-netflix-red transition-colors duration-200" title="${this.escapeHtml(show.title)}">
+                        ${this.escapeHtml(show.title)}
+                    </h3>
+                    <div class="text-sm text-gray-400">
+                        ${show.year || 'Unknown'} · ${show.episode_count} episodes
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        seriesGrid.querySelectorAll('.series-card').forEach(card => {
+            card.addEventListener('click', () => this.openSeries(parseInt(card.dataset.seriesId)));
+        });
+    }
+
+    // Seasons and episodes are fetched each time so the progress bars reflect what was just watched
+    async openSeries(seriesId) {
+        try {
+            const response = await fetch(`/api/series/${seriesId}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.userToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const show = await response.json();
+            this.renderSeriesEpisodes(show);
+
+            const seriesModal = document.getElementById('seriesModal');
+            seriesModal.classList.remove('hidden');
+            seriesModal.classList.add('flex');
+        } catch (error) {
+            console.error('❌ Error loading series:', error);
+            this.showToast('Failed to load episodes', 'error');
+        }
+    }
+
+    closeSeriesModal() {
+        const seriesModal = document.getElementById('seriesModal');
+        if (seriesModal) {
+            seriesModal.classList.add('hidden');
+            seriesModal.classList.remove('flex');
+        }
+    }
+
+    renderSeriesEpisodes(show) {
+        document.getElementById('seriesModalTitle').textContent = show.title;
+        document.getElementById('seriesModalDescription').textContent = show.description || '';
+
+        const seasonsContainer = document.getElementById('seriesSeasons');
+        seasonsContainer.innerHTML = show.seasons
+            .filter(season => season.episodes.length > 0)
+            .map(season => `
+                <div>
+                    <h4 class="text-lg font-semibold text-white mb-3">${season.title ? this.escapeHtml(season.title) : `Season ${season.season_number}`}</h4>
+                    <div class="space-y-2">
+                        ${season.episodes.map(episode => `
+                            <div class="episode-row bg-gray-800 hover:bg-gray-700 rounded-lg p-3 cursor-pointer transition-colors" data-episode-id="${episode.id}">
+                                <div class="flex items-center justify-between">
+                                    <span class="text-white">
+                                        <span class="text-gray-400 mr-2">${episode.episode_number}.</span>
+                                        ${episode.title ? this.escapeHtml(episode.title) : `Episode ${episode.episode_number}`}
+                                    </span>
+                                    ${episode.watch_progress ? `
+                                        <span class="text-xs text-gray-400">
+                                            ${episode.watch_progress.isCompleted ? '✅ Watched' : `${episode.watch_progress.progress}% watched`}
+                                        </span>
+                                    ` : ''}
+                                </div>
+                                ${episode.watch_progress && !episode.watch_progress.isCompleted ? `
+                                    <div class="w-full bg-gray-600 h-1 mt-2 rounded">
+                                        <div class="bg-netflix-red h-1 rounded" style="width: ${episode.watch_progress.progress}%"></div>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+
+        seasonsContainer.querySelectorAll('.episode-row').forEach(row => {
+            row.addEventListener('click', () => this.playEpisode(parseInt(row.dataset.episodeId)));
+        });
+    }
+
+    async playEpisode(episodeId) {
+        console.log('📺 Playing episode:', episodeId);
+        this.closeSeriesModal();
+
+        try {
+            if (!window.embeddedPlayer) {
+                throw new Error('Video player not available');
+            }
+            await window.embeddedPlayer.openEpisode(episodeId);
+            this.showToast('Starting episode...', 'info');
+        } catch (error) {
+            console.error('❌ Failed to play episode:', error);
+            this.showToast('Failed to start episode. Please try again.', 'error');
+        }
+    }
+
     showMovieContextMenu(event, movieId) {
         const movie = this.movies.find(m => m.id === movieId);
         if (!movie) return;
@@ -816,7 +1028,8 @@ class MovieApp {
 
         watchHistoryGrid.innerHTML = watchTimes.map(watchTime => `
             <div class="movie-card bg-gray-800 rounded-2xl overflow-hidden cursor-pointer group relative transform transition-all duration-300 hover:scale-105 hover:-translate-y-2" 
-                 data-movie-id="${watchTime.movieId}" 
+                 data-movie-id="${watchTime.movieId || ''}" 
+                 data-episode-id="${watchTime.episodeId || ''}" 
                  data-watch-time-id="${watchTime.id}">
                 
                 <div class="relative overflow-hidden">
@@ -856,6 +1069,11 @@ class MovieApp {
                     <h3 class="font-bold text-sm text-white mb-1 line-clamp-1 group-hover:text-netflix-red transition-colors duration-200" title="${watchTime.movieTitle}">
                         ${watchTime.movieTitle}
                     </h3>
+                    ${watchTime.episodeId ? `
+                        <p class="text-xs text-gray-300 mb-1 line-clamp-1">
+                            S${String(watchTime.seasonNumber).padStart(2, '0')}E${String(watchTime.episodeNumber).padStart(2, '0')}${watchTime.episodeTitle ? ` · ${watchTime.episodeTitle}` : ''}
+                        </p>
+                    ` : ''}
                     
                     <div class="flex items-center justify-between text-xs text-gray-400">
                         <span>${watchTime.year || 'Unknown'}</span>
@@ -869,6 +1087,10 @@ class MovieApp {
         const watchHistoryCards = document.querySelectorAll('#watchHistoryGrid .movie-card');
         watchHistoryCards.forEach(card => {
             card.addEventListener('click', () => {
+                if (card.dataset.episodeId) {
+                    this.playEpisode(parseInt(card.dataset.episodeId));
+                    return;
+                }
                 const movieId = parseInt(card.dataset.movieId);
                 this.playMovie(movieId, card);
             });
@@ -1118,6 +1340,13 @@ class MovieApp {
         console.log('🔄 App operations resumed');
     }
 
+    // Series and episode titles come from admins and from torrent file names; also safe in quoted attributes
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     // Clear all filters
     clearAllFilters() {
         document.getElementById('searchInput').value = '';
@@ -12,6 +12,30 @@ class EmbeddedPlayer {
     this.controlsVisible = true;
     this.isDraggingProgress = false;
     this.isMouseOverControls = false;
+    this.remuxUrl = null; // Set when the server remuxes the file to fragmented MP4
+    this.streamOffset = 0; // Movie time at which the current remuxed stream starts
+    this.streamDuration = null; // Probed duration, remuxed streams don't report one
+    this.hlsUrl = null; // Set when playing the server's HLS packaging
+    this.hls = null; // hls.js instance when the browser has no native HLS
+    this.statusFeed = null; // EventSource with the server's live numbers for the torrent playing
+    this.movieSources = []; // The movie's magnet and its alternates, in the order they're tried
+    this.sourceIndex = 0; // Source playing, or picked and being tried first
+    this.torrentFiles = []; // Video files of the current torrent, for the file picker
+    this.torrentSubtitles = []; // Sidecar subtitle files of the current torrent
+    this.subtitleOptions = []; // Sidecar and embedded subtitles offered for the playing file
+    this.subtitleTrackElement = null; // <track> of the chosen subtitle, its src is a blob URL
+    this.subtitleOffsetMs = 0; // User's sync correction for this movie or episode; positive shows subtitles later
+    this.subtitleOffsetStep = 100;
+    this.subtitleOffsetSaveTimeout = null;
+    this.subtitleStyle = this.loadSubtitleStyle();
+    this.audioTracks = []; // Audio tracks of the playing file, from the probe
+    this.audioTrack = null; // Chosen audio track; null plays the file's default through whatever stream mode was picked
+    this.thumbnailCues = []; // Scrub preview frames from the server's sprite sheets
+    this.mediaMarkers = null; // { introStart, introEnd, creditsStart } of the primary file, in seconds
+    this.creditsReached = false;
+    this.chapters = []; // [{ start, end, title }] of the primary file, in seconds
+    this.currentEpisode = null; // Set when playing a series episode rather than a movie
+    this.nextEpisodeInterval = null;
 
     this.setupEventListeners();
         
@@ -48,13 +72,15 @@ class EmbeddedPlayer {
                 e.preventDefault();
                 this.togglePlayPause();
                 break;
-            case "ArrowLeft": // Left arrow = 10s back
+            case "ArrowLeft": // Left arrow = 10s back, Shift+Left = previous chapter
                 e.preventDefault();
+                if (e.shiftKey && this.jumpToChapter(-1)) break;
                 this.seek(-this.seekTime);
                 this.showSeekFeedback(`-${this.seekTime}s`);
                 break;
-            case "ArrowRight": // Right arrow = 10s forward
+            case "ArrowRight": // Right arrow = 10s forward, Shift+Right = next chapter
                 e.preventDefault();
+                if (e.shiftKey && this.jumpToChapter(1)) break;
                 this.seek(this.seekTime);
                 this.showSeekFeedback(`+${this.seekTime}s`);
                 break;
@@ -85,6 +111,21 @@ class EmbeddedPlayer {
     document.getElementById("skipForwardBtn").addEventListener("click", () => this.skip(this.skipTime));
     document.getElementById("volumeSlider").addEventListener("input", (e) => this.setVolume(e.target.value));
     document.getElementById("speedSelect").addEventListener("change", (e) => this.setPlaybackRate(e.target.value));
+    document.getElementById("qualitySelect").addEventListener("change", (e) => this.setQuality(e.target.value));
+    document.getElementById("sourceSelect").addEventListener("change", (e) => this.switchSource(e.target.value));
+    document.getElementById("fileSelect").addEventListener("change", (e) => this.switchFile(e.target.value));
+    document.getElementById("subtitleSelect").addEventListener("change", (e) => this.selectSubtitle(e.target.value));
+    document.getElementById("audioSelect").addEventListener("change", (e) => this.selectAudioTrack(e.target.value));
+    document.getElementById("subtitleSettingsBtn").addEventListener("click", () => this.toggleSubtitleSettings());
+    document.getElementById("subtitleOffsetDownBtn").addEventListener("click", () => this.setSubtitleOffset(this.subtitleOffsetMs - this.subtitleOffsetStep));
+    document.getElementById("subtitleOffsetUpBtn").addEventListener("click", () => this.setSubtitleOffset(this.subtitleOffsetMs + this.subtitleOffsetStep));
+    document.getElementById("subtitleOffsetResetBtn").addEventListener("click", () => this.setSubtitleOffset(0));
+    document.getElementById("subtitleSizeSelect").addEventListener("change", (e) => this.updateSubtitleStyle({ size: e.target.value }));
+    document.getElementById("subtitleColorSelect").addEventListener("change", (e) => this.updateSubtitleStyle({ color: e.target.value }));
+    document.getElementById("subtitleBackgroundSelect").addEventListener("change", (e) => this.updateSubtitleStyle({ background: e.target.value }));
+    document.getElementById("nextEpisodePlayBtn").addEventListener("click", () => this.playNextEpisode());
+    document.getElementById("nextEpisodeCancelBtn").addEventListener("click", () => this.cancelNextEpisode());
+    document.getElementById("skipIntroBtn").addEventListener("click", () => this.skipIntro());
     document.getElementById("fullscreenBtn").addEventListener("click", () => this.toggleFullscreen());
 
     // Enhanced progress bar events with YouTube-style interaction
@@ -92,16 +133,27 @@ class EmbeddedPlayer {
     if (progressBar) {
         // Input event for continuous seeking while dragging
         progressBar.addEventListener("input", (e) => {
-            if (this.video && this.video.duration) {
+            if (this.video && this.getDuration()) {
                 const progress = parseFloat(e.target.value);
-                const seekTime = (progress / 100) * this.video.duration;
+                const seekTime = (progress / 100) * this.getDuration();
                 
                 // Update video time immediately for smooth scrubbing
-                this.video.currentTime = seekTime;
+                // (remuxed streams restart on every seek, so they wait for "change")
+                if (!this.remuxUrl) {
+                    this.seekTo(seekTime);
+                }
                 
                 // Update visual feedback
                 this.updateProgressSliderStyle(e.target);
-                this.updateTimeDisplays();
+                this.updateTimeDisplays(this.remuxUrl ? seekTime : undefined);
+                this.showProgressPreview(seekTime);
+            }
+        });
+
+        progressBar.addEventListener("change", (e) => {
+            if (this.remuxUrl && this.getDuration()) {
+                const progress = parseFloat(e.target.value);
+                this.seekTo((progress / 100) * this.getDuration());
             }
         });
         
@@ -125,6 +177,7 @@ class EmbeddedPlayer {
         
         progressBar.addEventListener("touchend", () => {
             this.isDraggingProgress = false;
+            this.hideProgressPreview();
             this.startControlsAutoHide();
         });
 
@@ -135,9 +188,7 @@ class EmbeddedPlayer {
 
   }
 
-  async openPlayer(movieId) {
-    console.log("Opening embedded player for movie:", movieId);
-
+  showPlayer() {
     // Show player and prevent body scroll
     const embeddedPlayer = document.getElementById("embeddedPlayer");
     embeddedPlayer.style.display = "flex";
@@ -147,6 +198,13 @@ class EmbeddedPlayer {
     document.body.classList.add('player-open');
     document.body.style.overflow = "hidden";
     document.body.style.height = "100vh";
+  }
+
+  async openPlayer(movieId) {
+    console.log("Opening embedded player for movie:", movieId);
+
+    this.showPlayer();
+    this.currentEpisode = null;
 
     // Load movie data
     try {
@@ -161,6 +219,7 @@ class EmbeddedPlayer {
         this.currentMovie = await response.json();
         document.getElementById("currentMovieTitle").textContent = this.currentMovie.title;
 
+        await this.loadSources();
         this.startStreaming();
         
     } catch (error) {
@@ -169,6 +228,108 @@ class EmbeddedPlayer {
     }
   }
 
+  // An episode streams like a movie whose primary file is the episode's file
+  async openEpisode(episodeId) {
+    console.log("Opening embedded player for episode:", episodeId);
+
+    this.showPlayer();
+
+    try {
+        const userToken = localStorage.getItem('userToken');
+        const response = await fetch(`/api/series/episodes/${episodeId}`, {
+            headers: {
+                'Authorization': `Bearer ${userToken}`
+            }
+        });
+        if (!response.ok) throw new Error("Episode not found");
+
+        const episode = await response.json();
+        this.currentEpisode = episode;
+        this.currentMovie = {
+          id: null,
+          title: this.getEpisodeTitle(episode),
+          magnet: episode.magnet,
+          default_file_index: episode.file_index
+        };
+        document.getElementById("currentMovieTitle").textContent = this.currentMovie.title;
+
+        this.resetSourceMenu();
+        this.startStreaming();
+
+    } catch (error) {
+        console.error("Error loading episode:", error);
+        this.showError("Failed to load episode: " + error.message);
+    }
+  }
+
+  getEpisodeTitle(episode) {
+    const number = `S${String(episode.season_number).padStart(2, "0")}E${String(episode.episode_number).padStart(2, "0")}`;
+    return `${episode.series_title} · ${number}${episode.title ? ` · ${episode.title}` : ""}`;
+  }
+
+  // Counts down on the overlay, then starts the next episode unless cancelled
+  scheduleNextEpisode() {
+    if (!this.currentEpisode || !this.currentEpisode.next_episode_id || this.nextEpisodeInterval) return;
+
+    const overlay = document.getElementById("nextEpisodeOverlay");
+    const countdown = document.getElementById("nextEpisodeCountdown");
+    let remaining = 10;
+
+    document.getElementById("nextEpisodeTitle").textContent = "Loading...";
+    countdown.textContent = remaining;
+    overlay.classList.remove("hidden");
+
+    // Title only; the full episode is fetched again by openEpisode
+    const userToken = localStorage.getItem('userToken');
+    fetch(`/api/series/episodes/${this.currentEpisode.id}/next`, {
+      headers: { 'Authorization': `Bearer ${userToken}` }
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data && data.episode && this.nextEpisodeInterval) {
+          document.getElementById("nextEpisodeTitle").textContent = this.getEpisodeTitle(data.episode);
+        }
+      })
+      .catch(() => {});
+
+    this.nextEpisodeInterval = setInterval(() => {
+      remaining--;
+      countdown.textContent = remaining;
+      if (remaining <= 0) {
+        this.playNextEpisode();
+      }
+    }, 1000);
+  }
+
+  cancelNextEpisode() {
+    if (this.nextEpisodeInterval) {
+      clearInterval(this.nextEpisodeInterval);
+      this.nextEpisodeInterval = null;
+    }
+    const overlay = document.getElementById("nextEpisodeOverlay");
+    if (overlay) overlay.classList.add("hidden");
+  }
+
+  playNextEpisode() {
+    const nextEpisodeId = this.currentEpisode && this.currentEpisode.next_episode_id;
+    this.cancelNextEpisode();
+    if (!nextEpisodeId) return;
+
+    this.teardownStream();
+    this.resetFileMenu();
+    if (this.client) {
+      this.client.destroy();
+      this.client = null;
+    }
+
+    document.getElementById("loadingOverlay").style.display = "block";
+    document.getElementById("customControls").style.display = "none";
+    document.getElementById("videoElement").innerHTML = "";
+    this.updateLoadingText("Loading next episode...");
+
+    this.openEpisode(nextEpisodeId);
+  }
+
   closePlayer() {
     console.log("Closing embedded player");
 
@@ -179,12 +340,7 @@ class EmbeddedPlayer {
     
     if (this.progressUpdateTimeout) {
         clearTimeout(this.progressUpdateTimeout);
-    }
-
-    // Cleanup watch time tracking
-    if (this.watchTimeManager) {
-      this.watchTimeManager.cleanup();
-      this.watchTimeManager = null;
+        this.progressUpdateTimeout = null;
     }
 
     // Hide player and restore body scroll
@@ -197,11 +353,13 @@ class EmbeddedPlayer {
     document.body.style.height = "auto";
 
     // Cleanup
-    if (this.video) {
-      this.video.pause();
-      this.video.remove();
-      this.video = null;
-    }
+    this.cancelNextEpisode();
+    this.teardownStream();
+    this.resetFileMenu();
+    this.resetSourceMenu();
+    this.torrentSubtitles = [];
+    this.subtitleOffsetMs = 0;
+    this.currentEpisode = null;
 
     if (this.client) {
       this.client.destroy();
@@ -221,6 +379,44 @@ class EmbeddedPlayer {
     this.isMouseOverControls = false;
   }
 
+  // Stop the current video and its tracking; used when closing and when switching files
+  teardownStream() {
+    if (this.watchTimeManager) {
+      this.watchTimeManager.cleanup();
+      this.watchTimeManager = null;
+    }
+
+    if (this.video) {
+      this.video.pause();
+      this.video.remove();
+      this.video = null;
+    }
+
+    if (this.hls) {
+      this.hls.destroy();
+      this.hls = null;
+    }
+    this.closeStatusFeed();
+    this.resetQualityMenu();
+    // Saved before currentMovie/currentEpisode move on
+    this.flushSubtitleOffset();
+    this.resetSubtitleMenu();
+    this.resetAudioMenu();
+    this.resetThumbnails();
+    this.creditsReached = false;
+    const skipIntroBtn = document.getElementById("skipIntroBtn");
+    if (skipIntroBtn) skipIntroBtn.classList.add("hidden");
+    // The next file redraws them once its duration is known
+    const chapterTicks = document.getElementById("chapterTicks");
+    if (chapterTicks) chapterTicks.innerHTML = "";
+
+    this.remuxUrl = null;
+    this.streamOffset = 0;
+    this.streamDuration = null;
+    this.hlsUrl = null;
+    this.fileIndex = null;
+  }
+
   async startStreaming() {
     if (!this.currentMovie.magnet) {
       this.showError("No magnet link available");
@@ -229,6 +425,9 @@ class EmbeddedPlayer {
 
     console.log("🚀 Starting streaming...");
     this.updateLoadingText("Analyzing torrent...");
+    this.loadSubtitleOffset();
+    this.loadMediaMarkers();
+    this.loadChapters();
 
     const torrentProgress = document.getElementById("torrentProgress");
     if (torrentProgress) {
@@ -244,49 +443,289 @@ class EmbeddedPlayer {
   }
 
   async tryServerSideStreaming() {
-    const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
-
     console.log("📡 Trying server-side streaming...");
     this.updateLoadingText("Connecting to server...");
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
+      const torrentInfo = this.movieSources.length > 1
+        ? await this.resolveMovieSource()
+        : await this.fetchTorrentInfo(encodeURIComponent(this.currentMovie.magnet));
+      const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
+      console.log("✅ Server torrent info received:", torrentInfo);
+
+      if (torrentInfo.files.length === 0) {
+        throw new Error("No video files found in torrent");
+      }
+
+      const file = this.pickDefaultFile(torrentInfo.files);
+
+      console.log("🎥 Selected video file:", file.name);
+      this.streamMode = "server";
+      this.magnetEncoded = magnetEncoded;
+      this.infoHash = torrentInfo.infoHash;
+      this.torrentFiles = torrentInfo.files;
+      this.torrentSubtitles = torrentInfo.subtitles || [];
+      this.populateFileMenu(file.index);
+
+      const streamOptions = await this.getStreamOptions(magnetEncoded, file, torrentInfo.infoHash);
+      this.setupServerStream(magnetEncoded, file.index, streamOptions);
+      this.loadSubtitleMenu(file.index);
+      this.loadThumbnails(file.index);
+    } catch (error) {
+      console.error("Server-side streaming failed:", error);
+      throw error;
+    }
+  }
+
+  async fetchTorrentInfo(magnetEncoded) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    const userToken = localStorage.getItem('userToken');
+    const infoResponse = await fetch(`/api/torrent/info/${magnetEncoded}`, {
+      signal: controller.signal,
+      headers: {
+        'Authorization': `Bearer ${userToken}`
+      }
+    });
 
+    clearTimeout(timeoutId);
+
+    if (!infoResponse.ok) {
+      throw new Error(`Server returned ${infoResponse.status}`);
+    }
+
+    return infoResponse.json();
+  }
+
+  // The movie's magnet first, then its alternates; an empty list (episodes, older servers) means the magnet alone
+  async loadSources() {
+    this.movieSources = [];
+    this.sourceIndex = 0;
+
+    try {
       const userToken = localStorage.getItem('userToken');
-      const infoResponse = await fetch(`/api/torrent/info/${magnetEncoded}`, {
-        signal: controller.signal,
+      const response = await fetch(`/api/movies/${this.currentMovie.id}/sources`, {
         headers: {
           'Authorization': `Bearer ${userToken}`
         }
       });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.movieSources = data.sources || [];
+    } catch (error) {
+      console.warn("Alternate sources unavailable:", error.message);
+    }
+    this.populateSourceMenu();
+  }
+
+  // The server checks every source at once and prefers the picked one, falling back down the list
+  // when it has no metadata or peers in time. That can take up to its 40 s deadline, so there's no short timeout here
+  async resolveMovieSource() {
+    this.updateLoadingText("Finding a source with peers...");
+    const order = [this.sourceIndex, ...this.movieSources.map((_, index) => index).filter(index => index !== this.sourceIndex)];
+
+    const userToken = localStorage.getItem('userToken');
+    const response = await fetch('/api/torrent/sources/resolve', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userToken}`
+      },
+      body: JSON.stringify({
+        sources: order.map(index => ({
+          magnet: this.movieSources[index].magnet,
+          fileIndex: this.movieSources[index].fileIndex
+        }))
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Server returned ${response.status}`);
+    }
+
+    const picked = order[data.index];
+    if (picked !== this.sourceIndex) {
+      this.showToast(`${this.movieSources[this.sourceIndex].label} has no peers, playing ${this.movieSources[picked].label} instead`, "info");
+    }
+    this.useSource(picked);
+    return data.info;
+  }
+
+  useSource(index) {
+    const source = this.movieSources[index];
+    this.sourceIndex = index;
+    this.currentMovie.magnet = source.magnet;
+    this.currentMovie.default_file_index = source.fileIndex;
+
+    const select = document.getElementById("sourceSelect");
+    if (select) select.value = String(index);
+  }
+
+  populateSourceMenu() {
+    const select = document.getElementById("sourceSelect");
+    if (!select) return;
+
+    select.innerHTML = "";
+    this.movieSources.forEach((source, index) => {
+      const option = document.createElement("option");
+      option.value = index;
+      option.textContent = source.health && source.health.isDead ? `${source.label} (no peers)` : source.label;
+      select.appendChild(option);
+    });
+
+    select.value = String(this.sourceIndex);
+    select.classList.toggle("hidden", this.movieSources.length < 2);
+  }
+
+  resetSourceMenu() {
+    const select = document.getElementById("sourceSelect");
+    if (select) {
+      select.innerHTML = "";
+      select.classList.add("hidden");
+    }
+    this.movieSources = [];
+    this.sourceIndex = 0;
+  }
+
+  // Picking a source by hand; it's tried first, with the others still there to fall back on
+  async switchSource(index) {
+    index = parseInt(index);
+    if (index === this.sourceIndex || !this.movieSources[index]) return;
+
+    console.log("🔀 Switching to source:", this.movieSources[index].label);
+    this.teardownStream();
+    this.resetFileMenu();
+    this.torrentSubtitles = [];
+    if (this.client) {
+      this.client.destroy();
+      this.client = null;
+    }
+
+    this.useSource(index);
+    document.getElementById("loadingOverlay").style.display = "block";
+    document.getElementById("customControls").style.display = "none";
+    this.startStreaming();
+  }
+
+  // The admin's chosen primary file, falling back to the largest video for movies added before that existed.
+  // files carry their index within the whole torrent.
+  pickDefaultFile(files) {
+    const defaultIndex = this.currentMovie.default_file_index;
+    const chosen = files.find(file => file.index === defaultIndex);
+    if (chosen) return chosen;
+
+    return files.reduce((prev, current) =>
+      prev.length > current.length ? prev : current
+    );
+  }
+
+  // Season packs label by episode number, everything else by file name
+  getFileLabel(file) {
+    const name = file.name.replace(/\.[^.]+$/, "");
+    const episode = name.match(/S(\d{1,2})[ ._-]?E(\d{1,3})/i) || name.match(/\b(\d{1,2})x(\d{2,3})\b/);
+    if (episode) {
+      return `S${episode[1].padStart(2, "0")}E${episode[2].padStart(2, "0")} · ${name}`;
+    }
+    return name;
+  }
+
+  populateFileMenu(selectedIndex) {
+    const select = document.getElementById("fileSelect");
+    if (!select) return;
+
+    select.innerHTML = "";
+    [...this.torrentFiles]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .forEach(file => {
+        const option = document.createElement("option");
+        option.value = file.index;
+        option.textContent = this.getFileLabel(file);
+        option.title = file.name;
+        select.appendChild(option);
+      });
+
+    select.value = String(selectedIndex);
+    // An episode is one file of the torrent; the series view is where other episodes are picked
+    select.classList.toggle("hidden", this.torrentFiles.length < 2 || !!this.currentEpisode);
+  }
+
+  resetFileMenu() {
+    const select = document.getElementById("fileSelect");
+    if (select) {
+      select.innerHTML = "";
+      select.classList.add("hidden");
+    }
+    this.torrentFiles = [];
+  }
+
+  async switchFile(fileIndex) {
+    const file = this.torrentFiles.find(f => f.index === parseInt(fileIndex));
+    if (!file || file.index === this.fileIndex) return;
+
+    console.log("🎞️ Switching to file:", file.name);
+    this.teardownStream();
+    document.getElementById("loadingOverlay").style.display = "block";
+    document.getElementById("customControls").style.display = "none";
+
+    const streamOptions = await this.getStreamOptions(this.magnetEncoded, file, this.infoHash);
+    this.setupServerStream(this.magnetEncoded, file.index, streamOptions);
+    this.loadSubtitleMenu(file.index);
+    this.loadThumbnails(file.index);
+  }
+
+  // Pick HLS when the server can package the file, otherwise the raw file or a remuxed stream
+  async getStreamOptions(magnetEncoded, file, infoHash) {
+    const nativeContainer = /\.(mp4|m4v|webm)$/i.test(file.name);
+
+    // Without HLS support, only files browsers can't open are worth probing
+    if (!this.canPlayHls() && nativeContainer) {
+      return { remux: false };
+    }
 
-      clearTimeout(timeoutId);
+    this.updateLoadingText("Checking video format...");
 
-      if (!infoResponse.ok) {
-        throw new Error(`Server returned ${infoResponse.status}`);
+    try {
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(`/api/torrent/probe/${magnetEncoded}/${file.index}`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
       }
 
-      const torrentInfo = await infoResponse.json();
-      console.log("✅ Server torrent info received:", torrentInfo);
+      const probe = await response.json();
+      console.log("🔬 Media probe:", probe);
 
-      if (torrentInfo.files.length === 0) {
-        throw new Error("No video files found in torrent");
+      // Only the remuxer can pick a non-default audio track, so the user's language overrides HLS
+      const audioTracks = await this.fetchAudioTracks(magnetEncoded, file.index);
+      const preferredTrack = this.pickPreferredAudioTrack(audioTracks);
+      if (preferredTrack) {
+        return { remux: true, duration: probe.duration, audioTracks, audioTrack: preferredTrack.track };
       }
 
-      const largestFile = torrentInfo.files.reduce((prev, current) =>
-        prev.length > current.length ? prev : current
-      );
+      if (this.canPlayHls() && infoHash && probe.duration) {
+        return { hls: true, infoHash, remux: probe.needsRemux, duration: probe.duration, audioTracks };
+      }
 
-      console.log("🎥 Selected video file:", largestFile.name);
-      this.streamMode = "server";
-      this.setupServerStream(magnetEncoded, largestFile.index);
+      return { remux: probe.needsRemux, duration: probe.duration, audioTracks };
     } catch (error) {
-      console.error("Server-side streaming failed:", error);
-      throw error;
+      console.warn("Probe failed, streaming raw file:", error.message);
+      return { remux: false };
     }
   }
 
+  canPlayHls() {
+    return (window.Hls && Hls.isSupported()) ||
+      document.createElement("video").canPlayType("application/vnd.apple.mpegurl") !== "";
+  }
+
   updateLoadingText(text) {
     const element = document.getElementById("loadingText");
     if (element) {
@@ -295,8 +734,28 @@ class EmbeddedPlayer {
     console.log("Loading status:", text);
   }
 
-  setupServerStream(magnetEncoded, fileIndex) {
-    const streamUrl = `/api/torrent/stream/${magnetEncoded}/${fileIndex}`;
+  setupServerStream(magnetEncoded, fileIndex, options = {}) {
+    // Reported with watch progress so the server can fetch the pieces ahead of the playhead
+    this.fileIndex = fileIndex;
+    const rawUrl = `/api/torrent/stream/${magnetEncoded}/${fileIndex}`;
+    let streamUrl = rawUrl;
+
+    const useRemux = () => {
+      this.remuxUrl = `/api/torrent/remux/${magnetEncoded}/${fileIndex}`;
+      this.streamOffset = 0;
+      this.streamDuration = options.duration || null;
+      return this.audioTrack !== null ? this.getRemuxSource(0) : this.remuxUrl;
+    };
+
+    this.audioTrack = options.audioTrack !== undefined ? options.audioTrack : null;
+    this.populateAudioMenu(options.audioTracks || []);
+
+    if (options.hls) {
+      this.hlsUrl = `/api/torrent/hls/${options.infoHash}/${fileIndex}/master.m3u8`;
+      streamUrl = this.hlsUrl;
+    } else if (options.remux) {
+      streamUrl = useRemux();
+    }
 
     console.log("🎬 Setting up server stream:", streamUrl);
     document.getElementById("loadingText").textContent = "Starting video stream...";
@@ -329,8 +788,8 @@ class EmbeddedPlayer {
     // Monitor buffering progress
     this.video.addEventListener('progress', () => {
         if (this.video.buffered && this.video.buffered.length > 0) {
-            const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
-            const duration = this.video.duration || 0;
+            const bufferedEnd = this.streamOffset + this.video.buffered.end(this.video.buffered.length - 1);
+            const duration = this.getDuration();
             const bufferPercentage = (bufferedEnd / duration) * 100;
             console.log(`🎬 Buffer progress: ${bufferPercentage.toFixed(1)}% (${this.formatTime(bufferedEnd)})`);
             
@@ -358,12 +817,30 @@ class EmbeddedPlayer {
     this.video.addEventListener('canplaythrough', () => {
         console.log("✅ Video can play through without interruption");
         this.hideToast();
-        
-        // Start aggressive preloading once video is ready
-        this.startAggressivePreloading();
     });
     
-    this.video.src = streamUrl;
+    if (this.hlsUrl && window.Hls && Hls.isSupported()) {
+      // hls.js picks the rendition from measured throughput; the cap stops phones pulling 1080p
+      this.hls = new Hls({ capLevelToPlayerSize: true });
+      this.hls.on(Hls.Events.MANIFEST_PARSED, () => this.populateQualityMenu());
+      this.hls.on(Hls.Events.LEVEL_SWITCHED, () => this.updateQualityLabel());
+      this.hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+
+        // Drop back to a progressive stream rather than failing playback
+        console.error("HLS error, falling back to progressive stream:", data);
+        this.hls.destroy();
+        this.hls = null;
+        this.hlsUrl = null;
+        this.resetQualityMenu();
+        this.video.src = options.remux ? useRemux() : rawUrl;
+        this.video.play().catch((error) => console.warn("Resume after fallback failed:", error));
+      });
+      this.hls.loadSource(streamUrl);
+      this.hls.attachMedia(this.video);
+    } else {
+      this.video.src = streamUrl;
+    }
 
     const container = document.getElementById("videoElement");
     container.appendChild(this.video);
@@ -371,6 +848,7 @@ class EmbeddedPlayer {
     document.getElementById("loadingOverlay").style.display = "none";
     document.getElementById("customControls").style.display = "flex";
 
+    this.openStatusFeed(this.infoHash);
     this.setupVideoEvents();
     this.setupMouseEvents();
     this.initializeCustomControls();
@@ -378,7 +856,10 @@ class EmbeddedPlayer {
     // Initialize watch time tracking
     if (window.WatchTimeManager && this.currentMovie) {
       this.watchTimeManager = new WatchTimeManager();
-      this.watchTimeManager.initWatchTimeTracking(this.currentMovie.id, this.video);
+      this.watchTimeManager.initWatchTimeTracking(this.currentMovie.id, this.video, this, {
+        episodeId: this.currentEpisode ? this.currentEpisode.id : null,
+        creditsStart: this.mediaMarkers && this.isPlayingPrimaryFile() ? this.mediaMarkers.creditsStart : null
+      });
     }
 
     // Auto-play
@@ -765,8 +1246,9 @@ class EmbeddedPlayer {
                 throw new Error("No video files found in torrent");
             }
 
-            // Select the largest video file
-            const videoFile = videoFiles.reduce((prev, current) =>
+            // WebTorrent file order matches the torrent, so the stored index applies directly
+            const defaultFile = torrent.files[this.currentMovie.default_file_index];
+            const videoFile = videoFiles.includes(defaultFile) ? defaultFile : videoFiles.reduce((prev, current) =>
                 prev.length > current.length ? prev : current
             );
 
@@ -866,6 +1348,8 @@ class EmbeddedPlayer {
   }
 
   setupVideoEvents() {
+    this.video.addEventListener("ended", () => this.scheduleNextEpisode());
+
     this.video.addEventListener("play", () => {
       this.isPlaying = true;
       this.updatePlayButton();
@@ -882,24 +1366,35 @@ class EmbeddedPlayer {
     this.video.addEventListener("timeupdate", () => {
       this.updateProgressBar();
       this.updateTimeDisplays();
+      this.updateMarkerControls();
       
-      // Send watch progress to server for caching (debounced)
+      // Send watch progress to server for caching and piece prioritisation (throttled)
       if (this.currentMovie && this.currentMovie.magnet) {
-        const progress = this.video.currentTime / this.video.duration;
+        const progress = this.getCurrentTime() / this.getDuration();
         if (!isNaN(progress) && progress > 0) {
-          this.sendWatchProgressDebounced(progress);
+          this.sendWatchProgressThrottled(progress);
         }
       }
     });
 
+    // A seek jumps the playhead, so the server's piece window has to follow straight away
+    this.video.addEventListener("seeked", () => {
+      const progress = this.getCurrentTime() / this.getDuration();
+      if (!isNaN(progress)) {
+        this.sendWatchProgressThrottled(progress, true);
+      }
+    });
+
     this.video.addEventListener("loadedmetadata", () => {
       this.updateProgressBar();
       this.updateTimeDisplays();
+      this.renderChapterTicks();
     });
 
     this.video.addEventListener("durationchange", () => {
       this.updateProgressBar();
       this.updateTimeDisplays();
+      this.renderChapterTicks();
     });
 
     this.video.addEventListener("volumechange", () => {
@@ -1040,8 +1535,8 @@ class EmbeddedPlayer {
     if (!this.video || this.isDraggingProgress) return;
 
     const progressSlider = document.getElementById("progressSlider");
-    if (progressSlider && this.video.duration) {
-      const progress = (this.video.currentTime / this.video.duration) * 100;
+    if (progressSlider && this.getDuration()) {
+      const progress = (this.getCurrentTime() / this.getDuration()) * 100;
       progressSlider.value = progress;
       this.updateProgressSliderStyle(progressSlider);
     }
@@ -1116,15 +1611,16 @@ class EmbeddedPlayer {
   }
 
   updateProgressHover(e) {
-    if (!this.video || !this.video.duration) return;
+    if (!this.video || !this.getDuration()) return;
     
     const progressSlider = document.getElementById("progressSlider");
     const rect = progressSlider.getBoundingClientRect();
     const percentage = (e.clientX - rect.left) / rect.width;
-    const hoverTime = Math.max(0, Math.min(this.video.duration, percentage * this.video.duration));
+    const hoverTime = Math.max(0, Math.min(this.getDuration(), percentage * this.getDuration()));
     
-    // Show time tooltip on hover
-    progressSlider.title = this.formatTime(hoverTime);
+    // Show time tooltip on hover, or a frame preview once the file has thumbnails
+    progressSlider.title = this.describeProgressTime(hoverTime);
+    this.showProgressPreview(hoverTime, e.clientX);
     
     // Optional: Add visual hover indicator
     const hoverPosition = Math.max(0, Math.min(100, percentage * 100));
@@ -1144,6 +1640,97 @@ class EmbeddedPlayer {
       progressSlider.title = "";
       this.updateProgressSliderStyle(progressSlider);
     }
+    this.hideProgressPreview();
+  }
+
+  // Scrub previews only exist once the server has the whole file cached; until then hovering shows the time alone
+  async loadThumbnails(fileIndex) {
+    this.thumbnailCues = [];
+    if (!this.infoHash) return;
+
+    const indexUrl = `/api/torrent/thumbnails/${this.infoHash}/${fileIndex}/thumbnails.vtt`;
+    try {
+      const response = await fetch(indexUrl);
+      // 202 means they're still being generated; the next time the movie is opened they'll be there
+      if (response.status !== 200) return;
+
+      const cues = this.parseThumbnailIndex(await response.text(), indexUrl);
+      if (this.fileIndex === fileIndex) {
+        this.thumbnailCues = cues;
+        console.log(`🖼️ Loaded ${cues.length} scrub previews`);
+      }
+    } catch (error) {
+      console.warn("Failed to load thumbnails:", error.message);
+    }
+  }
+
+  // [{ start, end, url, x, y, width, height }] from "start --> end" cues whose text is sprite.jpg#xywh=x,y,w,h
+  parseThumbnailIndex(text, indexUrl) {
+    const toSeconds = (timestamp) => timestamp.split(":").reduce((total, part) => total * 60 + parseFloat(part), 0);
+    const baseUrl = new URL(indexUrl, window.location.href);
+    const cues = [];
+
+    text.replace(/\r/g, "").split("\n\n").forEach(block => {
+      const lines = block.trim().split("\n");
+      const timing = lines.findIndex(line => line.includes("-->"));
+      if (timing === -1 || !lines[timing + 1]) return;
+
+      const [start, end] = lines[timing].split("-->").map(part => toSeconds(part.trim()));
+      const match = /^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/.exec(lines[timing + 1].trim());
+      if (!match) return;
+
+      cues.push({
+        start,
+        end,
+        url: new URL(match[1], baseUrl).href,
+        x: parseInt(match[2]),
+        y: parseInt(match[3]),
+        width: parseInt(match[4]),
+        height: parseInt(match[5])
+      });
+    });
+
+    return cues;
+  }
+
+  // clientX is the pointer position when hovering; while dragging the slider's own value is used
+  showProgressPreview(time, clientX) {
+    const cue = this.thumbnailCues.find(c => time >= c.start && time < c.end) ||
+      (time >= 0 && this.thumbnailCues[this.thumbnailCues.length - 1]);
+    const preview = document.getElementById("progressPreview");
+    const progressSlider = document.getElementById("progressSlider");
+    if (!cue || !preview || !progressSlider) return;
+
+    const image = document.getElementById("progressPreviewImage");
+    image.style.width = `${cue.width}px`;
+    image.style.height = `${cue.height}px`;
+    image.style.backgroundImage = `url("${cue.url}")`;
+    image.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    document.getElementById("progressPreviewTime").textContent = this.describeProgressTime(time);
+
+    const container = preview.parentElement.getBoundingClientRect();
+    const slider = progressSlider.getBoundingClientRect();
+    const x = clientX !== undefined
+      ? clientX - container.left
+      : slider.left - container.left + slider.width * (parseFloat(progressSlider.value) / 100);
+
+    // Keep the whole frame inside the controls at either end of the bar
+    const halfWidth = cue.width / 2 + 2;
+    preview.style.left = `${Math.max(halfWidth, Math.min(container.width - halfWidth, x))}px`;
+    preview.classList.remove("hidden");
+    progressSlider.title = "";
+  }
+
+  hideProgressPreview() {
+    const preview = document.getElementById("progressPreview");
+    if (preview) {
+      preview.classList.add("hidden");
+    }
+  }
+
+  resetThumbnails() {
+    this.thumbnailCues = [];
+    this.hideProgressPreview();
   }
 
   handleProgressChange(e) {
@@ -1160,16 +1747,59 @@ class EmbeddedPlayer {
 }
 
 
-  updateTimeDisplays() {
+  updateTimeDisplays(previewTime) {
     const currentTimeEl = document.getElementById("currentTime");
     const totalTimeEl = document.getElementById("totalTime");
 
     if (this.video && currentTimeEl && totalTimeEl) {
-      currentTimeEl.textContent = this.formatTime(this.video.currentTime || 0);
-      totalTimeEl.textContent = this.formatTime(this.video.duration || 0);
+      currentTimeEl.textContent = this.formatTime(previewTime !== undefined ? previewTime : this.getCurrentTime());
+      totalTimeEl.textContent = this.formatTime(this.getDuration());
     }
   }
 
+  // Position in the movie; remuxed streams restart at streamOffset after every seek
+  getCurrentTime() {
+    if (!this.video) return 0;
+    return this.streamOffset + (this.video.currentTime || 0);
+  }
+
+  getDuration() {
+    if (!this.video) return 0;
+    if (this.streamDuration) return this.streamDuration;
+    return isFinite(this.video.duration) ? this.video.duration : 0;
+  }
+
+  seekTo(time) {
+    if (!this.video) return;
+
+    const duration = this.getDuration();
+    const target = Math.max(0, duration ? Math.min(duration, time) : time);
+
+    if (!this.remuxUrl) {
+      this.video.currentTime = target;
+      return;
+    }
+
+    // Byte ranges don't map to time in a remuxed stream, so ask the server to start over at the target
+    const wasPaused = this.video.paused;
+    this.streamOffset = target;
+    this.video.src = this.getRemuxSource(target);
+    this.applySubtitleTiming();
+    if (!wasPaused) {
+      this.video.play().catch((error) => console.warn("Resume after seek failed:", error));
+    }
+    this.updateProgressBar();
+    this.updateTimeDisplays();
+  }
+
+  getRemuxSource(start) {
+    const params = new URLSearchParams({ start: start.toFixed(2) });
+    if (this.audioTrack !== null) {
+      params.set("audio", this.audioTrack);
+    }
+    return `${this.remuxUrl}?${params}`;
+  }
+
   formatTime(seconds) {
     if (isNaN(seconds) || seconds === undefined) return "0:00";
     
@@ -1199,13 +1829,13 @@ class EmbeddedPlayer {
   // Enhanced skip function (existing buttons)
   skip(seconds) {
     if (!this.video) return;
-    this.video.currentTime = Math.max(0, Math.min(this.video.duration, this.video.currentTime + seconds));
+    this.seekTo(this.getCurrentTime() + seconds);
   }
 
   // New seek function for keyboard arrows
   seek(seconds) {
     if (!this.video) return;
-    this.video.currentTime = Math.max(0, Math.min(this.video.duration, this.video.currentTime + seconds));
+    this.seekTo(this.getCurrentTime() + seconds);
     this.showControls(); // Show controls when seeking
     this.startControlsAutoHide();
   }
@@ -1240,6 +1870,615 @@ class EmbeddedPlayer {
     this.startControlsAutoHide();
   }
 
+  populateQualityMenu() {
+    const select = document.getElementById("qualitySelect");
+    if (!select || !this.hls) return;
+
+    select.innerHTML = '<option value="-1">Auto</option>';
+    this.hls.levels
+      .map((level, index) => ({ level, index }))
+      .sort((a, b) => (b.level.height || 0) - (a.level.height || 0))
+      .forEach(({ level, index }) => {
+        const option = document.createElement("option");
+        option.value = index;
+        option.textContent = this.getLevelName(level);
+        select.appendChild(option);
+      });
+
+    select.value = "-1";
+    select.classList.toggle("hidden", this.hls.levels.length < 2);
+    this.updateQualityLabel();
+  }
+
+  resetQualityMenu() {
+    const select = document.getElementById("qualitySelect");
+    if (select) {
+      select.innerHTML = '<option value="-1">Auto</option>';
+      select.classList.add("hidden");
+    }
+
+    const label = document.getElementById("qualityLabel");
+    if (label) {
+      label.textContent = "Quality: HD";
+    }
+  }
+
+  getLevelName(level) {
+    if (level.name && level.name !== "source") return level.name;
+    return level.height ? `${level.height}p (original)` : "Original";
+  }
+
+  setQuality(levelIndex) {
+    if (!this.hls) return;
+
+    // -1 hands control back to hls.js' bandwidth estimation
+    this.hls.currentLevel = parseInt(levelIndex);
+    this.updateQualityLabel();
+  }
+
+  updateQualityLabel() {
+    const label = document.getElementById("qualityLabel");
+    if (!label || !this.hls) return;
+
+    const level = this.hls.levels[this.hls.currentLevel];
+    const name = level ? this.getLevelName(level) : "Auto";
+    label.textContent = `Quality: ${name}${this.hls.autoLevelEnabled ? " (Auto)" : ""}`;
+  }
+
+  // Uploaded subtitles of the movie, sidecar files of the torrent, the text tracks embedded in the playing file
+  // and what the subtitle providers find for the movie
+  async loadSubtitleMenu(fileIndex) {
+    const userToken = localStorage.getItem('userToken');
+    const headers = { 'Authorization': `Bearer ${userToken}` };
+
+    const fetchList = async (url) => {
+      try {
+        const response = await fetch(url, { headers });
+        return response.ok ? await response.json() : null;
+      } catch (error) {
+        console.warn("Subtitle list unavailable:", url, error.message);
+        return null;
+      }
+    };
+
+    // Episodes have no uploaded subtitles or movie metadata to search by
+    const movieId = this.currentMovie.id;
+    const [uploadedList, embeddedList, searchResults] = await Promise.all([
+      movieId ? fetchList(`/api/movies/${movieId}/subtitles`) : null,
+      fetchList(`/api/torrent/subtitles/${this.magnetEncoded}/${fileIndex}/embedded`),
+      movieId ? fetchList(`/api/subtitles/search?movieId=${movieId}`) : null
+    ]);
+
+    // Another file may have been picked while the probe ran
+    if (fileIndex !== this.fileIndex) return;
+
+    this.subtitleOptions = [
+      ...(uploadedList ? uploadedList.subtitles : []).map(sub => ({
+        label: sub.label,
+        language: sub.language,
+        title: sub.file_name,
+        url: sub.url,
+        embedded: false
+      })),
+      ...this.torrentSubtitles.map(sub => ({
+        label: sub.label,
+        language: sub.language,
+        title: sub.name,
+        url: `/api/torrent/subtitles/${this.magnetEncoded}/${sub.index}`,
+        embedded: false
+      })),
+      ...(embeddedList ? embeddedList.tracks : []).map(track => ({
+        label: `${track.label} (embedded)`,
+        language: track.language,
+        title: track.codec,
+        url: track.url,
+        embedded: true
+      })),
+      ...(searchResults ? searchResults.results : []).map(result => ({
+        label: `${result.label} (${result.provider})`,
+        language: result.language,
+        title: result.fileName,
+        url: result.url,
+        embedded: false
+      }))
+    ];
+
+    const select = document.getElementById("subtitleSelect");
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Subtitles off</option>';
+    this.subtitleOptions.forEach((subtitle, index) => {
+      const option = document.createElement("option");
+      option.value = index;
+      option.textContent = subtitle.label;
+      option.title = subtitle.title || "";
+      select.appendChild(option);
+    });
+    select.value = "";
+    select.classList.toggle("hidden", this.subtitleOptions.length === 0);
+  }
+
+  resetSubtitleMenu() {
+    const select = document.getElementById("subtitleSelect");
+    if (select) {
+      select.innerHTML = '<option value="">Subtitles off</option>';
+      select.classList.add("hidden");
+    }
+
+    this.subtitleOptions = [];
+    this.removeSubtitleTrack();
+  }
+
+  async selectSubtitle(value) {
+    if (value === "") {
+      this.removeSubtitleTrack();
+      return;
+    }
+
+    const subtitle = this.subtitleOptions[parseInt(value)];
+    if (!subtitle) return;
+
+    // Embedded tracks are demuxed from the whole file on first use
+    this.showToast(subtitle.embedded ? "Extracting subtitles, this can take a while..." : "Loading subtitles...", "info");
+
+    try {
+      // Fetched rather than used as the <track> src, which can't send the auth header
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(subtitle.url, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const vtt = await response.text();
+
+      // A different choice may have been made while this one loaded
+      const select = document.getElementById("subtitleSelect");
+      if (!this.video || !select || select.value !== value) return;
+
+      this.showSubtitleTrack(subtitle, vtt);
+      this.hideToast();
+    } catch (error) {
+      console.error("Failed to load subtitles:", error);
+      this.showToast("Failed to load subtitles", "error");
+    }
+  }
+
+  showSubtitleTrack(subtitle, vtt) {
+    this.removeSubtitleTrack();
+
+    const trackElement = document.createElement("track");
+    trackElement.kind = "subtitles";
+    trackElement.label = subtitle.label;
+    if (subtitle.language) {
+      trackElement.srclang = subtitle.language;
+    }
+    trackElement.src = URL.createObjectURL(new Blob([vtt], { type: "text/vtt" }));
+
+    trackElement.addEventListener("load", () => {
+      // Cue times get rewritten relative to the stream, so keep the originals
+      Array.from(trackElement.track.cues).forEach(cue => {
+        cue.movieStartTime = cue.startTime;
+        cue.movieEndTime = cue.endTime;
+      });
+      this.applySubtitleTiming();
+    });
+
+    this.video.appendChild(trackElement);
+    // Cues only load once the track isn't disabled
+    trackElement.track.mode = "showing";
+    this.subtitleTrackElement = trackElement;
+    document.getElementById("subtitleSettingsBtn").classList.remove("hidden");
+  }
+
+  removeSubtitleTrack() {
+    if (!this.subtitleTrackElement) return;
+
+    this.subtitleTrackElement.track.mode = "disabled";
+    URL.revokeObjectURL(this.subtitleTrackElement.src);
+    this.subtitleTrackElement.remove();
+    this.subtitleTrackElement = null;
+
+    document.getElementById("subtitleSettingsBtn").classList.add("hidden");
+    document.getElementById("subtitleSettingsPanel").classList.add("hidden");
+  }
+
+  // Cues are moved by the user's sync offset, and back by streamOffset since a remuxed stream's
+  // clock restarts at zero after every seek
+  applySubtitleTiming() {
+    const track = this.subtitleTrackElement && this.subtitleTrackElement.track;
+    if (!track || !track.cues) return;
+
+    const shift = this.subtitleOffsetMs / 1000 - this.streamOffset;
+    Array.from(track.cues).forEach(cue => {
+      if (cue.movieStartTime === undefined) return;
+      cue.startTime = cue.movieStartTime + shift;
+      cue.endTime = cue.movieEndTime + shift;
+    });
+  }
+
+  toggleSubtitleSettings() {
+    document.getElementById("subtitleSettingsPanel").classList.toggle("hidden");
+  }
+
+  subtitlePreferencesPath() {
+    if (this.currentEpisode) return `episode/${this.currentEpisode.id}`;
+    return this.currentMovie && this.currentMovie.id ? `movie/${this.currentMovie.id}` : null;
+  }
+
+  // Intro and credits ranges detected on the server; they describe the primary file only
+  async loadMediaMarkers() {
+    // Markers use the same movie/:id or episode/:id path as subtitle preferences
+    const path = this.subtitlePreferencesPath();
+    this.mediaMarkers = null;
+    if (!path) return;
+
+    try {
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(`/api/markers/${path}`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const markers = await response.json();
+      if (path !== this.subtitlePreferencesPath()) return;
+
+      this.mediaMarkers = markers;
+      if (this.watchTimeManager && this.isPlayingPrimaryFile()) {
+        this.watchTimeManager.setCreditsStart(markers.creditsStart);
+      }
+    } catch (error) {
+      console.warn("Intro/credits markers unavailable:", error.message);
+    }
+  }
+
+  // Chapters come from the movie's file or the admin panel; episodes don't have any
+  async loadChapters() {
+    this.chapters = [];
+    const movieId = this.currentEpisode ? null : this.currentMovie && this.currentMovie.id;
+    if (!movieId) return;
+
+    try {
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(`/api/movies/${movieId}/chapters`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (this.currentEpisode || !this.currentMovie || this.currentMovie.id !== movieId) return;
+
+      this.chapters = data.chapters || [];
+      this.renderChapterTicks();
+    } catch (error) {
+      console.warn("Chapters unavailable:", error.message);
+    }
+  }
+
+  renderChapterTicks() {
+    const container = document.getElementById("chapterTicks");
+    if (!container) return;
+    container.innerHTML = "";
+
+    const duration = this.getDuration();
+    if (!this.video || !duration || !this.isPlayingPrimaryFile()) return;
+
+    // The first chapter usually starts at 0, which needs no tick
+    this.chapters
+      .filter(chapter => chapter.start > 0 && chapter.start < duration)
+      .forEach(chapter => {
+        const tick = document.createElement("span");
+        tick.className = "chapter-tick";
+        tick.style.left = `${(chapter.start / duration) * 100}%`;
+        container.appendChild(tick);
+      });
+  }
+
+  getChapterAt(time) {
+    if (!this.isPlayingPrimaryFile()) return null;
+    let current = null;
+    for (const chapter of this.chapters) {
+      if (chapter.start > time) break;
+      current = chapter;
+    }
+    return current;
+  }
+
+  // "Chapter title · 12:34", or just the time outside chapters
+  describeProgressTime(time) {
+    const chapter = this.getChapterAt(time);
+    return chapter ? `${chapter.title} · ${this.formatTime(time)}` : this.formatTime(time);
+  }
+
+  // Returns false when there's no chapter to go to, so the key falls back to a plain seek
+  jumpToChapter(direction) {
+    if (this.chapters.length === 0 || !this.isPlayingPrimaryFile() || !this.video) return false;
+
+    const time = this.getCurrentTime();
+    let target;
+    if (direction > 0) {
+      target = this.chapters.find(chapter => chapter.start > time + 1);
+    } else {
+      // Like a CD player: back to the start of this chapter, or the one before if it only just began
+      const current = this.getChapterAt(time);
+      const index = this.chapters.indexOf(current);
+      target = current && time - current.start > 3 ? current : this.chapters[index - 1] || current;
+    }
+    if (!target) return false;
+
+    this.seekTo(target.start);
+    this.showSeekFeedback(target.title);
+    return true;
+  }
+
+  // Markers, chapters and credits were found in the movie's own file, not in alternate sources
+  isPlayingPrimaryFile() {
+    const source = this.movieSources[this.sourceIndex];
+    if (source && !source.primary) return false;
+    return this.fileIndex === null || this.fileIndex === this.currentMovie.default_file_index;
+  }
+
+  // Called on timeupdate: "Skip intro" during the intro, "Next up" once the credits start
+  updateMarkerControls() {
+    const markers = this.mediaMarkers;
+    const skipIntroBtn = document.getElementById("skipIntroBtn");
+    if (!markers || !this.isPlayingPrimaryFile()) {
+      if (skipIntroBtn) skipIntroBtn.classList.add("hidden");
+      return;
+    }
+
+    const time = this.getCurrentTime();
+    // Hidden in the last second so the button doesn't flash as the intro ends
+    const inIntro = markers.introEnd !== null &&
+      time >= (markers.introStart || 0) && time < markers.introEnd - 1;
+    if (skipIntroBtn) skipIntroBtn.classList.toggle("hidden", !inIntro);
+
+    if (markers.creditsStart === null) return;
+    if (time < markers.creditsStart) {
+      // Seeking back before the credits shows "Next up" again when they come round
+      this.creditsReached = false;
+    } else if (!this.creditsReached) {
+      this.creditsReached = true;
+      this.scheduleNextEpisode();
+    }
+  }
+
+  skipIntro() {
+    if (!this.mediaMarkers || this.mediaMarkers.introEnd === null) return;
+
+    this.seekTo(this.mediaMarkers.introEnd);
+    document.getElementById("skipIntroBtn").classList.add("hidden");
+  }
+
+  // The sync offset is saved server-side per user and per movie, so it follows the user between devices
+  async loadSubtitleOffset() {
+    const path = this.subtitlePreferencesPath();
+    this.subtitleOffsetMs = 0;
+    this.updateSubtitleOffsetLabel();
+    if (!path) return;
+
+    try {
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(`/api/preferences/subtitles/${path}`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const { offsetMs } = await response.json();
+      // The player may have moved on to something else meanwhile
+      if (path !== this.subtitlePreferencesPath()) return;
+
+      this.subtitleOffsetMs = offsetMs;
+      this.updateSubtitleOffsetLabel();
+      this.applySubtitleTiming();
+    } catch (error) {
+      console.warn("Subtitle offset unavailable:", error.message);
+    }
+  }
+
+  setSubtitleOffset(offsetMs) {
+    this.subtitleOffsetMs = Math.round(offsetMs);
+    this.updateSubtitleOffsetLabel();
+    this.applySubtitleTiming();
+
+    // Nudges come in bursts; only the last value needs saving
+    clearTimeout(this.subtitleOffsetSaveTimeout);
+    this.subtitleOffsetSaveTimeout = setTimeout(() => this.flushSubtitleOffset(), 1000);
+  }
+
+  flushSubtitleOffset() {
+    if (!this.subtitleOffsetSaveTimeout) return;
+
+    clearTimeout(this.subtitleOffsetSaveTimeout);
+    this.subtitleOffsetSaveTimeout = null;
+
+    const body = this.currentEpisode
+      ? { episodeId: this.currentEpisode.id }
+      : { movieId: this.currentMovie && this.currentMovie.id };
+    if (!body.episodeId && !body.movieId) return;
+
+    const userToken = localStorage.getItem('userToken');
+    fetch('/api/preferences/subtitles', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userToken}`
+      },
+      body: JSON.stringify({ ...body, offsetMs: this.subtitleOffsetMs })
+    }).catch((error) => console.warn("Failed to save subtitle offset:", error.message));
+  }
+
+  updateSubtitleOffsetLabel() {
+    const label = document.getElementById("subtitleOffsetValue");
+    if (label) {
+      label.textContent = `${this.subtitleOffsetMs > 0 ? "+" : ""}${this.subtitleOffsetMs} ms`;
+    }
+  }
+
+  // Size, colour and background are a per-user look rather than per movie, so they live in this browser
+  loadSubtitleStyle() {
+    const defaults = { size: "medium", color: "white", background: "translucent" };
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.subtitleStyleKey())) || {};
+    } catch (error) {
+      // Corrupt value, fall back to defaults
+    }
+
+    const style = { ...defaults, ...saved };
+    this.renderSubtitleStyle(style);
+    return style;
+  }
+
+  subtitleStyleKey() {
+    return `subtitleStyle:${localStorage.getItem('username') || ''}`;
+  }
+
+  updateSubtitleStyle(changes) {
+    this.subtitleStyle = { ...this.subtitleStyle, ...changes };
+    localStorage.setItem(this.subtitleStyleKey(), JSON.stringify(this.subtitleStyle));
+    this.renderSubtitleStyle(this.subtitleStyle);
+  }
+
+  // Writes the ::cue rules and syncs the settings panel
+  renderSubtitleStyle(style) {
+    const sizes = { small: "3.5vh", medium: "4.5vh", large: "6vh", huge: "7.5vh" };
+    const colors = { white: "#ffffff", yellow: "#ffeb3b", cyan: "#4dd0e1", green: "#8bc34a" };
+    const backgrounds = { none: "transparent", translucent: "rgba(0, 0, 0, 0.6)", solid: "#000000" };
+
+    let styleElement = document.getElementById("subtitleCueStyle");
+    if (!styleElement) {
+      styleElement = document.createElement("style");
+      styleElement.id = "subtitleCueStyle";
+      document.head.appendChild(styleElement);
+    }
+
+    styleElement.textContent = `
+      #videoElement video::cue {
+        font-size: ${sizes[style.size] || sizes.medium};
+        color: ${colors[style.color] || colors.white};
+        background-color: ${backgrounds[style.background] || backgrounds.translucent};
+        ${style.background === "none" ? "text-shadow: 0 0 4px #000, 0 0 2px #000;" : ""}
+      }
+    `;
+
+    document.getElementById("subtitleSizeSelect").value = style.size;
+    document.getElementById("subtitleColorSelect").value = style.color;
+    document.getElementById("subtitleBackgroundSelect").value = style.background;
+  }
+
+  audioLanguageKey() {
+    return `audioLanguage:${localStorage.getItem('username') || ''}`;
+  }
+
+  async fetchAudioTracks(magnetEncoded, fileIndex) {
+    try {
+      const userToken = localStorage.getItem('userToken');
+      const response = await fetch(`/api/torrent/audio/${magnetEncoded}/${fileIndex}`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) return [];
+
+      const { tracks } = await response.json();
+      return tracks;
+    } catch (error) {
+      console.warn("Audio tracks unavailable:", error.message);
+      return [];
+    }
+  }
+
+  // Releases disagree on which language is the default track; the user's last choice wins
+  pickPreferredAudioTrack(tracks) {
+    const preferred = localStorage.getItem(this.audioLanguageKey());
+    const match = preferred && tracks.find(track => track.language === preferred);
+    return match && !match.default ? match : null;
+  }
+
+  populateAudioMenu(tracks) {
+    this.audioTracks = tracks;
+
+    const select = document.getElementById("audioSelect");
+    if (!select) return;
+
+    select.innerHTML = "";
+    tracks.forEach(track => {
+      const option = document.createElement("option");
+      option.value = track.track;
+      option.textContent = track.label;
+      option.title = track.codec;
+      select.appendChild(option);
+    });
+
+    const playing = tracks.find(track => this.audioTrack !== null ? track.track === this.audioTrack : track.default);
+    select.value = playing ? String(playing.track) : "";
+    select.classList.toggle("hidden", tracks.length < 2);
+  }
+
+  resetAudioMenu() {
+    const select = document.getElementById("audioSelect");
+    if (select) {
+      select.innerHTML = "";
+      select.classList.add("hidden");
+    }
+
+    this.audioTracks = [];
+    this.audioTrack = null;
+  }
+
+  // Only the remuxer can pick a track, so switching moves the stream to remux from the current position
+  selectAudioTrack(value) {
+    const track = this.audioTracks.find(t => t.track === parseInt(value));
+    if (!track || !this.video) return;
+
+    if (track.language) {
+      localStorage.setItem(this.audioLanguageKey(), track.language);
+    }
+
+    const defaultTrack = this.audioTracks.find(t => t.default);
+    const currentTrack = this.audioTrack !== null ? this.audioTrack : (defaultTrack ? defaultTrack.track : null);
+    if (track.track === currentTrack) return;
+
+    const position = this.getCurrentTime();
+    const duration = this.getDuration();
+    const wasPaused = this.video.paused;
+
+    if (this.hls) {
+      this.hls.destroy();
+      this.hls = null;
+      this.resetQualityMenu();
+    }
+    this.hlsUrl = null;
+
+    this.remuxUrl = `/api/torrent/remux/${this.magnetEncoded}/${this.fileIndex}`;
+    this.streamDuration = this.streamDuration || duration || null;
+    this.audioTrack = track.track;
+    this.streamOffset = position;
+    this.video.src = this.getRemuxSource(position);
+    this.applySubtitleTiming();
+
+    if (!wasPaused) {
+      this.video.play().catch((error) => console.warn("Resume after audio switch failed:", error));
+    }
+    this.showToast(`Audio: ${track.label}`, "info");
+  }
+
   setPlaybackRate(rate) {
     if (!this.video) return;
     this.video.playbackRate = parseFloat(rate);
@@ -1357,6 +2596,56 @@ class EmbeddedPlayer {
     });
   }
 
+  // Server streams only; WebTorrent reports its own numbers in tryWebTorrentStreaming
+  openStatusFeed(infoHash) {
+    this.closeStatusFeed();
+    if (!infoHash || !window.EventSource) return;
+
+    this.statusFeed = new EventSource(`/api/torrent/status/${infoHash}`);
+    this.statusFeed.addEventListener("status", (event) => {
+      try {
+        this.updateStreamStats(JSON.parse(event.data));
+      } catch (error) {
+        console.warn("Bad torrent status event:", error);
+      }
+    });
+  }
+
+  closeStatusFeed() {
+    if (this.statusFeed) {
+      this.statusFeed.close();
+      this.statusFeed = null;
+    }
+
+    const stats = document.getElementById("streamStats");
+    if (stats) {
+      stats.textContent = "";
+      stats.classList.add("hidden");
+    }
+  }
+
+  updateStreamStats(status) {
+    const percent = Math.floor(status.progress * 100);
+    const peers = `${status.peers} peers (${status.seeds} seeds)`;
+    const stats = document.getElementById("streamStats");
+    if (!stats) return;
+
+    switch (status.state) {
+      case "complete":
+        stats.textContent = `💾 Cached on server · ${peers}`;
+        break;
+      case "downloading":
+        stats.textContent = `⬇ ${this.formatBytes(status.downloadSpeed)}/s · ${peers} · ${percent}% cached`;
+        break;
+      case "fetching-metadata":
+        stats.textContent = `Fetching metadata · ${peers}`;
+        break;
+      default:
+        stats.textContent = "";
+    }
+    stats.classList.toggle("hidden", !stats.textContent);
+  }
+
   formatBytes(bytes) {
     if (bytes === 0) return "0 B";
     const k = 1024;
@@ -1432,146 +2721,24 @@ class EmbeddedPlayer {
     }
   }
 
-  // Enhanced preloading management
-  startAggressivePreloading() {
-    if (!this.video) return;
-    
-    console.log("🚀 Starting aggressive preloading...");
-    
-    // Force preload to auto
-    this.video.preload = "auto";
-    
-    // Monitor and maintain buffer without affecting playback
-    this.bufferMonitor = setInterval(() => {
-      try {
-        if (this.video && this.video.buffered && this.video.buffered.length > 0) {
-          const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
-          const currentTime = this.video.currentTime || 0;
-          const duration = this.video.duration || 0;
-          
-          // If buffer is less than 10 minutes ahead, trigger aggressive background preloading
-          if (bufferedEnd - currentTime < 600 && duration > 0) {
-            console.log("🔄 Buffer running low, triggering aggressive background preloading...");
-            this.triggerBackgroundPreloading();
-          }
-        }
-      } catch (error) {
-        console.warn('Buffer monitoring error:', error);
-      }
-    }, 30000); // Check every 30 seconds to reduce frequency
-  }
-
-  triggerBackgroundPreloading() {
-    if (!this.video || !this.video.duration) return;
-    
-    // Add cooldown to prevent excessive preloading
-    if (this.preloadCooldown) {
-      console.log("⏳ Preloading in cooldown, skipping...");
-      return;
-    }
-    
-    const currentTime = this.video.currentTime || 0;
-    const duration = this.video.duration || 0;
-    
-    // Only preload if we're not near the end
-    if (currentTime < duration - 60) {
-      // Set cooldown for 30 seconds
-      this.preloadCooldown = true;
-      setTimeout(() => {
-        this.preloadCooldown = false;
-      }, 30000);
-      
-      // Create multiple hidden video elements for aggressive preloading
-      this.createAggressiveBackgroundPreloader(currentTime, duration);
-    }
-  }
-
-  createAggressiveBackgroundPreloader(currentTime, duration) {
-    // Calculate 10% of the video duration for larger chunks
-    const tenPercentDuration = duration * 0.10;
-    const preloadChunks = 2; // Load 2 chunks of 10% each = 20% total
-    
-    console.log(`🚀 Starting aggressive preloading: ${Math.round(tenPercentDuration)}s per chunk (10% each)`);
-    
-    // Clean up any existing background videos first
-    this.cleanupBackgroundVideos();
-    
-    for (let i = 1; i <= preloadChunks; i++) {
-      const preloadTime = Math.min(currentTime + (tenPercentDuration * i), duration - 1);
-      
-      // Create a hidden video element for each chunk
-      const backgroundVideo = document.createElement('video');
-      backgroundVideo.className = 'background-preloader';
-      backgroundVideo.style.display = 'none';
-      backgroundVideo.style.position = 'absolute';
-      backgroundVideo.style.left = '-9999px';
-      backgroundVideo.style.top = '-9999px';
-      backgroundVideo.preload = 'auto';
-      backgroundVideo.muted = true;
-      backgroundVideo.volume = 0;
-      
-      // Use the same source as the main video
-      backgroundVideo.src = this.video.src;
-      
-      // Add to DOM temporarily
-      document.body.appendChild(backgroundVideo);
-      
-      backgroundVideo.addEventListener('loadedmetadata', () => {
-        backgroundVideo.currentTime = preloadTime;
-        
-        // Let it load for a longer time to ensure more data is cached
-        setTimeout(() => {
-          if (backgroundVideo.parentNode) {
-            backgroundVideo.parentNode.removeChild(backgroundVideo);
-          }
-          console.log(`✅ Background preloading chunk ${i} completed for position ${Math.round(preloadTime)}s (${Math.round((preloadTime/duration)*100)}%)`);
-        }, 15000); // 15 seconds per chunk for better caching
-      });
-      
-      backgroundVideo.addEventListener('error', () => {
-        if (backgroundVideo.parentNode) {
-          backgroundVideo.parentNode.removeChild(backgroundVideo);
-        }
-        console.warn(`❌ Background preloading chunk ${i} failed for position ${Math.round(preloadTime)}s`);
-      });
-      
-      // Stagger the start times to avoid overwhelming the server
-      setTimeout(() => {
-        if (backgroundVideo.parentNode) {
-          backgroundVideo.currentTime = preloadTime;
-        }
-      }, i * 2000); // Start each chunk 2 seconds apart
-    }
-  }
-
-  cleanupBackgroundVideos() {
-    // Remove any existing background preloader videos
-    const existingVideos = document.querySelectorAll('.background-preloader');
-    existingVideos.forEach(video => {
-      if (video.parentNode) {
-        video.parentNode.removeChild(video);
-      }
-    });
-  }
-
-  stopAggressivePreloading() {
-    if (this.bufferMonitor) {
-      clearInterval(this.bufferMonitor);
-      this.bufferMonitor = null;
-    }
-  }
-
-  // Send watch progress to server for persistent caching (debounced)
-  sendWatchProgressDebounced(progress) {
+  // Send watch progress to server for persistent caching. Throttled rather than debounced:
+  // timeupdate fires several times a second, and the server needs updates while playback runs.
+  sendWatchProgressThrottled(progress, immediate = false) {
     if (!this.currentMovie || !this.currentMovie.magnet) return;
-    
-    // Clear existing timeout
-    if (this.progressUpdateTimeout) {
+
+    this.pendingProgress = progress;
+    if (immediate && this.progressUpdateTimeout) {
       clearTimeout(this.progressUpdateTimeout);
+      this.progressUpdateTimeout = null;
     }
-    
-    // Set new timeout for debounced update
+    if (this.progressUpdateTimeout) return;
+
+    // The server's 64 MB piece window covers well over 30 seconds of video, and seeks are sent straight away
     this.progressUpdateTimeout = setTimeout(async () => {
+      this.progressUpdateTimeout = null;
+      if (!this.currentMovie || !this.currentMovie.magnet) return;
+
+      const progress = this.pendingProgress;
       try {
         const userToken = localStorage.getItem('userToken');
         const response = await fetch('/api/torrent/progress', {
@@ -1582,7 +2749,10 @@ class EmbeddedPlayer {
           },
           body: JSON.stringify({
             magnetHash: this.currentMovie.magnet,
-            progress: progress
+            progress: progress,
+            fileIndex: this.fileIndex,
+            position: this.getCurrentTime(),
+            duration: this.getDuration()
           })
         });
         
@@ -1592,12 +2762,12 @@ class EmbeddedPlayer {
       } catch (error) {
         console.warn('Failed to send watch progress:', error);
       }
-    }, 5000); // Send updates every 5 seconds instead of 2
+    }, immediate ? 0 : 30000); // At most one update every 30 seconds during playback
   }
 
   // Legacy method for backward compatibility
   async sendWatchProgress(progress) {
-    this.sendWatchProgressDebounced(progress);
+    this.sendWatchProgressThrottled(progress);
   }
 }
 
@@ -1614,7 +2784,7 @@ document.addEventListener('DOMContentLoaded', () => {
 // Auto-update progress every 500ms for smooth scrubber movement
 setInterval(() => {
     const player = window.embeddedPlayer;
-    if (player && player.video && !player.isDraggingProgress && player.video.duration) {
+    if (player && player.video && !player.isDraggingProgress && player.getDuration()) {
         player.updateProgressBar();
         player.updateTimeDisplays();
     }
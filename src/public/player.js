@@ -8,6 +8,8 @@ class ModernVideoPlayer {
         this.controlsTimeout = null;
         this.subtitles = [];
         this.currentSubtitle = null;
+        this.hls = null;
+        this.fileIndex = null;
         
         console.log('=== PLAYER INITIALIZATION ===');
         console.log('Current URL:', window.location.href);
@@ -60,6 +62,7 @@ class ModernVideoPlayer {
             this.skipTime = parseInt(e.target.value);
             this.updateSkipTimeDisplay();
         });
+        document.getElementById('fileSelect').addEventListener('change', (e) => this.switchFile(e.target.value));
 
         // Subtitles
         document.getElementById('subtitlesBtn').addEventListener('click', () => this.toggleSubtitlesPanel());
@@ -135,7 +138,6 @@ class ModernVideoPlayer {
         this.updateMovieInfo();
         console.log('Movie info updated');
         
-        this.loadSubtitles();
         console.log('Starting streaming...');
         this.startStreaming();
     } catch (error) {
@@ -156,23 +158,37 @@ class ModernVideoPlayer {
         document.title = `${this.currentMovie.title} - Movie Player`;
     }
 
+    // Lists the subtitles uploaded for the movie, the files shipped inside the torrent, the tracks
+    // embedded in the playing file and what the subtitle providers find; all are served as WebVTT
     async loadSubtitles() {
         const subtitlesList = document.getElementById('subtitlesList');
         const loadingDiv = subtitlesList.querySelector('.subtitle-loading');
         loadingDiv.style.display = 'flex';
 
+        // Embedded tracks belong to the previous file after a file switch
+        subtitlesList.querySelectorAll('.subtitle-btn[data-url]').forEach(btn => btn.parentElement.remove());
+
         try {
-            // Search for subtitles using OpenSubtitles API
-            const subtitles = await this.searchOpenSubtitles();
-            
+            const subtitles = [
+                ...await this.getUploadedSubtitles(),
+                ...await this.getTorrentSubtitles(),
+                ...await this.getEmbeddedSubtitles(),
+                ...await this.getProviderSubtitles()
+            ];
+
+            if (subtitles.length === 0) {
+                loadingDiv.innerHTML = '<span>No subtitles found</span>';
+                return;
+            }
+
             loadingDiv.style.display = 'none';
-            
+
             subtitles.forEach(sub => {
                 const subtitleDiv = document.createElement('div');
                 subtitleDiv.className = 'subtitle-item';
                 subtitleDiv.innerHTML = `
-                    <button class="subtitle-btn" data-lang="${sub.language}" data-url="${sub.url}">
-                        ${sub.language} - ${sub.release || 'Unknown'}
+                    <button class="subtitle-btn" data-lang="${sub.language || ''}" data-url="${sub.url}" title="${this.escapeHtml(sub.name)}">
+                        ${this.escapeHtml(sub.label)} - ${this.escapeHtml(sub.name)}
                     </button>
                 `;
                 subtitleDiv.querySelector('.subtitle-btn').addEventListener('click', () => {
@@ -186,21 +202,99 @@ class ModernVideoPlayer {
         }
     }
 
-    async searchOpenSubtitles() {
-        // Mock implementation - in production, you'd use OpenSubtitles API
-        // This is a simplified version that returns mock data
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve([
-                    { language: 'English', url: 'mock-en.srt', release: 'Web-DL' },
-                    { language: 'Spanish', url: 'mock-es.srt', release: 'BluRay' },
-                    { language: 'French', url: 'mock-fr.srt', release: 'Web-DL' }
-                ]);
-            }, 2000);
-        });
+    async getTorrentSubtitles() {
+        let torrentInfo = this.torrentInfo;
+        if (!torrentInfo) {
+            const response = await fetch(`/api/torrent/info/${encodeURIComponent(this.currentMovie.magnet)}`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            torrentInfo = await response.json();
+        }
+
+        const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
+        return (torrentInfo.subtitles || [])
+            .map(sub => ({
+                ...sub,
+                language: sub.language || 'und',
+                url: `/api/torrent/subtitles/${magnetEncoded}/${sub.index}`
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    async getUploadedSubtitles() {
+        try {
+            const response = await fetch(`/api/movies/${this.currentMovie.id}/subtitles`, {
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                return [];
+            }
+
+            const { subtitles } = await response.json();
+            return subtitles.map(sub => ({
+                ...sub,
+                name: sub.file_name || 'Uploaded',
+                language: sub.language || 'und'
+            }));
+        } catch (error) {
+            console.log('Uploaded subtitles unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async getProviderSubtitles() {
+        try {
+            const response = await fetch(`/api/subtitles/search?movieId=${this.currentMovie.id}`, {
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                return [];
+            }
+
+            const { results } = await response.json();
+            return results.map(result => ({
+                ...result,
+                name: result.fileName,
+                language: result.language || 'und'
+            }));
+        } catch (error) {
+            console.log('Subtitle search unavailable:', error.message);
+            return [];
+        }
+    }
+
+    getAuthHeaders() {
+        const userToken = localStorage.getItem('userToken');
+        return userToken ? { 'Authorization': `Bearer ${userToken}` } : {};
     }
 
-    loadSubtitle(subtitle) {
+    // Needs the transcoder, so only available when streaming through HLS
+    async getEmbeddedSubtitles() {
+        if (this.fileIndex === null) {
+            return [];
+        }
+
+        try {
+            const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
+            const response = await fetch(`/api/torrent/subtitles/${magnetEncoded}/${this.fileIndex}/embedded`);
+            if (!response.ok) {
+                return [];
+            }
+
+            const { tracks } = await response.json();
+            return tracks.map(track => ({
+                ...track,
+                name: `Embedded track ${track.track + 1}`,
+                language: track.language || 'und'
+            }));
+        } catch (error) {
+            console.log('Embedded subtitles unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async loadSubtitle(subtitle) {
         // Remove active class from all subtitle buttons
         document.querySelectorAll('.subtitle-btn').forEach(btn => {
             btn.classList.remove('active');
@@ -212,55 +306,210 @@ class ModernVideoPlayer {
         }
 
         // Add active class to selected subtitle
-        document.querySelector(`[data-lang="${subtitle.language}"]`).classList.add('active');
+        document.querySelector(`[data-url="${subtitle.url}"]`).classList.add('active');
+        this.toggleSubtitlesPanel();
+
+        if (!this.video) return;
 
-        // In a real implementation, you would fetch and parse the subtitle file
         console.log('Loading subtitle:', subtitle);
         this.currentSubtitle = subtitle;
 
-        // Mock subtitle loading
-        if (this.video && this.video.textTracks) {
-            // Remove existing tracks
-            Array.from(this.video.textTracks).forEach(track => {
-                track.mode = 'disabled';
-            });
+        try {
+            // <track src> can't send the auth header, so the track gets a blob URL of the fetched file
+            const response = await fetch(subtitle.url, { headers: this.getAuthHeaders() });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const vtt = await response.text();
+
+            // Another subtitle may have been picked while this one loaded
+            if (this.currentSubtitle !== subtitle) return;
+
+            this.removeSubtitleTracks();
 
-            // Create new track (mock)
             const track = document.createElement('track');
             track.kind = 'subtitles';
-            track.label = subtitle.language;
-            track.srclang = subtitle.language.toLowerCase().substring(0, 2);
-            track.src = subtitle.url; // In real implementation, this would be a valid subtitle file
+            track.label = subtitle.label || subtitle.language;
+            track.srclang = subtitle.language;
+            track.src = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
             track.default = true;
-            
-            if (this.video.appendChild) {
-                this.video.appendChild(track);
-                track.addEventListener('load', () => {
-                    track.mode = 'showing';
-                });
-            }
+            this.video.appendChild(track);
+            track.track.mode = 'showing';
+        } catch (error) {
+            console.error('Error loading subtitle:', error);
+            this.currentSubtitle = null;
         }
+    }
 
-        this.toggleSubtitlesPanel();
+    removeSubtitleTracks() {
+        if (!this.video) return;
+
+        this.video.querySelectorAll('track').forEach(track => {
+            track.track.mode = 'disabled';
+            URL.revokeObjectURL(track.src);
+            track.remove();
+        });
     }
 
     removeSubtitles() {
-        if (this.video && this.video.textTracks) {
-            Array.from(this.video.textTracks).forEach(track => {
-                track.mode = 'disabled';
-            });
-        }
+        this.removeSubtitleTracks();
         this.currentSubtitle = null;
         document.querySelector('[data-lang="off"]').classList.add('active');
         this.toggleSubtitlesPanel();
     }
 
-    startStreaming() {
+    async startStreaming() {
         if (!this.currentMovie.magnet) {
             this.showError('No magnet link available');
             return;
         }
 
+        try {
+            await this.startHlsStreaming();
+        } catch (error) {
+            console.log('HLS streaming unavailable, falling back to WebTorrent:', error.message);
+            this.startWebTorrentStreaming();
+        }
+
+        this.loadSubtitles();
+    }
+
+    canPlayHls() {
+        return (window.Hls && Hls.isSupported()) ||
+            document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+    }
+
+    // Stream through the server's HLS packager, which works for any container the transcoder can read
+    async startHlsStreaming() {
+        if (!this.canPlayHls()) {
+            throw new Error('HLS not supported by this browser');
+        }
+
+        document.getElementById('loadingText').textContent = 'Connecting to server...';
+
+        const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
+        const infoResponse = await fetch(`/api/torrent/info/${magnetEncoded}`);
+        if (!infoResponse.ok) {
+            throw new Error(`Server returned ${infoResponse.status}`);
+        }
+
+        const torrentInfo = await infoResponse.json();
+        if (torrentInfo.files.length === 0) {
+            throw new Error('No video files found in torrent');
+        }
+
+        this.torrentInfo = torrentInfo;
+        const file = this.pickDefaultFile(torrentInfo.files);
+        this.populateFileSelect(file.index);
+
+        await this.loadHlsFile(file);
+    }
+
+    async loadHlsFile(file) {
+        const magnetEncoded = encodeURIComponent(this.currentMovie.magnet);
+
+        // The probe fails fast when the server has no transcoder
+        document.getElementById('loadingText').textContent = 'Checking video format...';
+        const probeResponse = await fetch(`/api/torrent/probe/${magnetEncoded}/${file.index}`);
+        if (!probeResponse.ok) {
+            throw new Error(`Probe returned ${probeResponse.status}`);
+        }
+
+        this.fileIndex = file.index;
+        const hlsUrl = `/api/torrent/hls/${this.torrentInfo.infoHash}/${file.index}/master.m3u8`;
+        this.setupHlsVideo(hlsUrl);
+    }
+
+    // The admin's chosen primary file, or the largest video for movies added before that existed
+    pickDefaultFile(files) {
+        const chosen = files.find(file => file.index === this.currentMovie.default_file_index);
+        if (chosen) return chosen;
+
+        return files.reduce((prev, current) =>
+            prev.length > current.length ? prev : current
+        );
+    }
+
+    populateFileSelect(selectedIndex) {
+        const select = document.getElementById('fileSelect');
+        const files = [...this.torrentInfo.files]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        select.innerHTML = files
+            .map(file => `<option value="${file.index}">${this.escapeHtml(file.name)}</option>`)
+            .join('');
+        select.value = String(selectedIndex);
+
+        // Single-file torrents have nothing to choose
+        document.getElementById('fileSetting').style.display = files.length > 1 ? '' : 'none';
+    }
+
+    async switchFile(fileIndex) {
+        const file = this.torrentInfo.files.find(f => f.index === parseInt(fileIndex));
+        if (!file || file.index === this.fileIndex) return;
+
+        if (this.hls) {
+            this.hls.destroy();
+            this.hls = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.remove();
+            this.video = null;
+        }
+
+        document.getElementById('loadingOverlay').style.display = 'flex';
+        this.currentSubtitle = null;
+        try {
+            await this.loadHlsFile(file);
+            this.loadSubtitles();
+        } catch (error) {
+            this.showError('Failed to load file: ' + error.message);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    setupHlsVideo(hlsUrl) {
+        this.video = document.createElement('video');
+        this.video.controls = false;
+        this.video.preload = 'metadata';
+
+        const playerContainer = document.getElementById('videoPlayer');
+        playerContainer.appendChild(this.video);
+
+        if (window.Hls && Hls.isSupported()) {
+            // Default ABR switches renditions on measured throughput
+            this.hls = new Hls({ capLevelToPlayerSize: true });
+            this.hls.on(Hls.Events.ERROR, (event, data) => {
+                if (data.fatal) {
+                    console.error('HLS error:', data);
+                    this.showError('Streaming Error: ' + data.details);
+                }
+            });
+            this.hls.loadSource(hlsUrl);
+            this.hls.attachMedia(this.video);
+        } else {
+            this.video.src = hlsUrl;
+        }
+
+        this.setupVideoEvents();
+        document.getElementById('loadingOverlay').style.display = 'none';
+        document.getElementById('playerControls').style.display = 'flex';
+
+        if (document.getElementById('autoplayToggle').checked) {
+            this.video.play().then(() => {
+                this.isPlaying = true;
+                this.updatePlayButton();
+            }).catch(console.error);
+        }
+    }
+
+    startWebTorrentStreaming() {
         document.getElementById('loadingText').textContent = 'Initializing WebTorrent...';
         document.getElementById('torrentProgress').style.display = 'block';
 
@@ -276,9 +525,11 @@ class ModernVideoPlayer {
         });
 
         const torrent = this.client.add(this.currentMovie.magnet, (torrent) => {
-            const file = torrent.files.find(f => 
-                /\.(mp4|mkv|webm|avi)$/i.test(f.name)
-            );
+            // WebTorrent keeps the torrent's file order, so the stored index applies directly
+            const defaultFile = torrent.files[this.currentMovie.default_file_index];
+            const file = defaultFile && /\.(mp4|mkv|webm|avi)$/i.test(defaultFile.name)
+                ? defaultFile
+                : torrent.files.find(f => /\.(mp4|mkv|webm|avi)$/i.test(f.name));
 
             if (file) {
                 this.setupVideo(file);
@@ -528,6 +779,9 @@ class ModernVideoPlayer {
         if (this.controlsTimeout) {
             clearTimeout(this.controlsTimeout);
         }
+        if (this.hls) {
+            this.hls.destroy();
+        }
         if (this.client) {
             this.client.destroy();
         }
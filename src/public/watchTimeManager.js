@@ -3,19 +3,33 @@ class WatchTimeManager {
         this.userToken = localStorage.getItem('userToken');
         this.saveInterval = null;
         this.currentMovieId = null;
+        this.currentEpisodeId = null;
         this.currentVideo = null;
         this.lastSaveTime = 0;
         this.saveThreshold = 5; // Save every 5 seconds
+        this.creditsStart = null; // Seconds into the video where the end credits begin, when known
+        this.completed = false;
     }
 
     // Initialize watch time tracking for a movie
-    initWatchTimeTracking(movieId, videoElement) {
-        this.currentMovieId = movieId;
+    // clock is optional and supplies movie time when it differs from the element's (remuxed streams)
+    // options.episodeId tracks a series episode instead; movieId is then ignored
+    // options.creditsStart marks it completed when the credits start instead of at the very end
+    initWatchTimeTracking(movieId, videoElement, clock = null, options = {}) {
+        this.currentEpisodeId = options.episodeId || null;
+        this.currentMovieId = this.currentEpisodeId ? null : movieId;
         this.currentVideo = videoElement;
+        this.clock = clock || {
+            getCurrentTime: () => videoElement.currentTime,
+            getDuration: () => videoElement.duration,
+            seekTo: (time) => { videoElement.currentTime = time; }
+        };
         this.lastSaveTime = 0;
+        this.creditsStart = options.creditsStart || null;
+        this.completed = false;
 
         // Load existing watch time and resume if available
-        this.loadAndResume(movieId, videoElement);
+        this.loadAndResume(videoElement);
 
         // Set up periodic saving
         this.startPeriodicSaving();
@@ -23,13 +37,27 @@ class WatchTimeManager {
         // Set up event listeners for video events
         this.setupVideoEventListeners(videoElement);
 
-        console.log(`🎬 Watch time tracking initialized for movie ${movieId}`);
+        console.log(`🎬 Watch time tracking initialized for ${this.currentEpisodeId ? 'episode' : 'movie'} ${this.currentEpisodeId || movieId}`);
+    }
+
+    // Credits are detected in the background, so they may only be known after tracking started
+    setCreditsStart(seconds) {
+        this.creditsStart = seconds || null;
+    }
+
+    hasTarget() {
+        return !!(this.currentMovieId || this.currentEpisodeId);
+    }
+
+    // Path segment of the watch-time API for what is being tracked
+    targetPath() {
+        return this.currentEpisodeId ? `episode/${this.currentEpisodeId}` : `movie/${this.currentMovieId}`;
     }
 
     // Load watch time and resume from last position
-    async loadAndResume(movieId, videoElement) {
+    async loadAndResume(videoElement) {
         try {
-            const response = await fetch(`/api/watch-time/movie/${movieId}`, {
+            const response = await fetch(`/api/watch-time/${this.targetPath()}`, {
                 headers: {
                     'Authorization': `Bearer ${this.userToken}`
                 }
@@ -43,7 +71,7 @@ class WatchTimeManager {
                     
                     // Don't resume if movie is completed or if we're very close to the end
                     if (!data.watchTime.isCompleted && data.watchTime.progress < 95) {
-                        videoElement.currentTime = resumeTime;
+                        this.clock.seekTo(resumeTime);
                         
                         // Show resume notification
                         this.showResumeNotification(resumeTime, data.watchTime.progress);
@@ -72,9 +100,18 @@ class WatchTimeManager {
             this.saveWatchTime();
         });
 
+        // Complete once the credits roll; files without detected credits complete on video end
+        videoElement.addEventListener('timeupdate', () => {
+            if (!this.completed && this.creditsStart && this.clock.getCurrentTime() >= this.creditsStart) {
+                this.markAsCompleted();
+            }
+        });
+
         // Save on video end
         videoElement.addEventListener('ended', () => {
-            this.markAsCompleted();
+            if (!this.completed) {
+                this.markAsCompleted();
+            }
         });
 
         // Save on page unload
@@ -98,7 +135,7 @@ class WatchTimeManager {
 
         this.saveInterval = setInterval(() => {
             if (this.currentVideo && !this.currentVideo.paused) {
-                const currentTime = this.currentVideo.currentTime;
+                const currentTime = this.clock.getCurrentTime();
                 const timeDiff = Math.abs(currentTime - this.lastSaveTime);
                 
                 if (timeDiff >= this.saveThreshold) {
@@ -118,10 +155,10 @@ class WatchTimeManager {
 
     // Save current watch time
     async saveWatchTime() {
-        if (!this.currentVideo || !this.currentMovieId) return;
+        if (!this.currentVideo || !this.hasTarget()) return;
 
-        const currentTime = this.currentVideo.currentTime;
-        const duration = this.currentVideo.duration;
+        const currentTime = this.clock.getCurrentTime();
+        const duration = this.clock.getDuration();
 
         // Don't save if time hasn't changed significantly
         if (Math.abs(currentTime - this.lastSaveTime) < this.saveThreshold) {
@@ -139,9 +176,11 @@ class WatchTimeManager {
                 },
                 body: JSON.stringify({
                     movieId: this.currentMovieId,
+                    episodeId: this.currentEpisodeId,
                     watchTimeSeconds: Math.floor(currentTime),
                     totalDurationSeconds: Math.floor(duration),
-                    isCompleted: false
+                    // Watching the credits mustn't undo the completion
+                    isCompleted: this.completed
                 })
             });
 
@@ -155,12 +194,15 @@ class WatchTimeManager {
 
     // Mark movie as completed
     async markAsCompleted() {
-        if (!this.currentVideo || !this.currentMovieId) return;
+        if (!this.currentVideo || !this.hasTarget()) return;
 
-        const duration = this.currentVideo.duration;
+        const duration = this.clock.getDuration();
+        const completePath = this.currentEpisodeId ? `episode/${this.currentEpisodeId}` : this.currentMovieId;
+        // Set up front so timeupdate doesn't send it again; later saves carry it if this request fails
+        this.completed = true;
 
         try {
-            const response = await fetch(`/api/watch-time/complete/${this.currentMovieId}`, {
+            const response = await fetch(`/api/watch-time/complete/${completePath}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -241,8 +283,11 @@ class WatchTimeManager {
         this.saveWatchTime(); // Final save
         this.stopPeriodicSaving();
         this.currentMovieId = null;
+        this.currentEpisodeId = null;
         this.currentVideo = null;
         this.lastSaveTime = 0;
+        this.creditsStart = null;
+        this.completed = false;
     }
 
     // Utility function to format time
@@ -0,0 +1,72 @@
+const express = require('express');
+const { pool } = require('../db/db');
+const userAuth = require('../middleware/userAuth');
+const rateLimit = require('express-rate-limit');
+const { mediaTarget } = require('./media-target');
+
+const router = express.Router();
+
+const markersLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { error: 'Too many marker requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Detection runs in the torrent proxy once the file is fully cached; this only nudges it
+async function requestDetection(infoHash, fileIndex) {
+    try {
+        await fetch(`http://127.0.0.1:7000/internal/markers/${infoHash}/${fileIndex}`, { method: 'POST' });
+    } catch (error) {
+        console.warn('Marker detection request error:', error.message);
+    }
+}
+
+async function getMarkers(req, res, target) {
+    try {
+        if (isNaN(parseInt(target.id))) {
+            return res.status(400).json({ error: `Invalid ${target.label.toLowerCase()} ID format` });
+        }
+
+        const result = await pool.query(`
+            SELECT t.info_hash, t.${target.fileColumn} AS file_index,
+                   mm.id AS marker_id, mm.intro_start, mm.intro_end, mm.credits_start
+            FROM ${target.table} t
+            LEFT JOIN media_markers mm ON mm.${target.column} = t.id
+                AND mm.info_hash = t.info_hash AND mm.file_index = t.${target.fileColumn}
+            WHERE t.id = $1
+        `, [target.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: `${target.label} not found` });
+        }
+
+        const row = result.rows[0];
+        if (row.marker_id === null && row.info_hash && row.file_index !== null) {
+            requestDetection(row.info_hash, row.file_index);
+        }
+
+        res.json({
+            introStart: row.intro_start,
+            introEnd: row.intro_end,
+            creditsStart: row.credits_start
+        });
+    } catch (error) {
+        console.error('❌ Error getting media markers:', error);
+        res.status(500).json({
+            error: 'Failed to get media markers',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
+
+router.get('/movie/:movieId', markersLimiter, userAuth, (req, res) => {
+    getMarkers(req, res, mediaTarget(req.params.movieId, null));
+});
+
+router.get('/episode/:episodeId', markersLimiter, userAuth, (req, res) => {
+    getMarkers(req, res, mediaTarget(null, req.params.episodeId));
+});
+
+module.exports = router;
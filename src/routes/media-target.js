@@ -0,0 +1,9 @@
+// Watch progress, subtitle preferences and markers are all kept per movie or per episode.
+// The target names the column holding the ID, the table it points at and the column with the file it plays.
+function mediaTarget(movieId, episodeId) {
+    return episodeId
+        ? { column: 'episode_id', id: episodeId, table: 'episodes', fileColumn: 'file_index', label: 'Episode' }
+        : { column: 'movie_id', id: movieId, table: 'movies', fileColumn: 'default_file_index', label: 'Movie' };
+}
+
+module.exports = { mediaTarget };
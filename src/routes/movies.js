@@ -1,12 +1,19 @@
 const express = require('express');
+const { Readable } = require('stream');
 const { pool, redis } = require('../db/db');
 const auth = require('../middleware/auth');
 const userAuth = require('../middleware/userAuth');
 const rateLimit = require('express-rate-limit');
 const validator = require('validator');
+const { parseMetainfo, buildMagnet } = require('../torrent-streaming/metainfo');
+// Info hashes are stored as lowercase hex, base32 magnets included, like the torrent cache keys them
+const { infoHashFromMagnet } = require('../torrent-streaming/cache-manager');
+const { subtitleFormat, describeSubtitleFile, toWebVtt } = require('../subtitles/webvtt');
 
 const router = express.Router();
 
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
 // Rate limiting
 const readLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -49,14 +56,60 @@ function validateMagnetLink(magnet) {
     return magnetRegex.test(magnet);
 }
 
-function extractInfoHash(magnet) {
-    const match = magnet.match(/urn:btih:([a-fA-F0-9]{40}|[a-zA-Z2-7]{32})/i);
-    return match ? match[1].toLowerCase() : null;
+// default_file_index is an index into the torrent's full file list, as returned by /api/torrent/info
+function isValidFileIndex(value) {
+    return value === undefined || value === null || value === '' ||
+        (Number.isInteger(Number(value)) && Number(value) >= 0);
+}
+
+// BCP 47-ish: "en", "eng", "pt-BR", "zh-Hant"
+function isValidLanguageTag(value) {
+    return typeof value === 'string' && value.length <= 20 && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value);
+}
+
+function subtitleUrl(movieId, subtitleId) {
+    return `/api/movies/${movieId}/subtitles/${subtitleId}`;
+}
+
+function largestFileIndex(files) {
+    if (!files || files.length === 0) return null;
+    return files.reduce((prev, current) => prev.length > current.length ? prev : current).index;
+}
+
+function videoFilesOf(metainfo) {
+    return metainfo.files
+        .filter(f => /\.(mp4|mkv|webm|avi|mov|m4v)$/i.test(f.name))
+        .map(({ name, length, index }) => ({ name, length, index }));
+}
+
+// The raw .torrent is only for the torrent proxy; clients get a flag instead of the bytes
+function withoutMetainfo(movie) {
+    const { torrent_metainfo, ...rest } = movie;
+    return { ...rest, has_torrent_file: !!torrent_metainfo };
+}
+
+// Hand an uploaded .torrent to the proxy. Returns the same shape as analyzeTorrent.
+async function registerTorrentFile(metainfo) {
+    try {
+        const response = await fetch('http://127.0.0.1:7000/internal/metainfo', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-bittorrent' },
+            body: metainfo
+        });
+
+        if (response.ok) {
+            return await response.json();
+        }
+        return null;
+    } catch (error) {
+        console.warn('Torrent file registration error:', error.message);
+        return null;
+    }
 }
 
 async function analyzeTorrent(magnet) {
     try {
-        const response = await fetch(`http://localhost:7000/api/torrent/info/${encodeURIComponent(magnet)}`, {
+        const response = await fetch(`http://127.0.0.1:7000/api/torrent/info/${encodeURIComponent(magnet)}`, {
             timeout: 30000,
             headers: { 'User-Agent': 'MovieMag/1.0' }
         });
@@ -71,6 +124,173 @@ async function analyzeTorrent(magnet) {
     }
 }
 
+// Probing reads the start (and often the end) of the file, so it has to wait for peers.
+// A slow swarm gets retried after these delays; missing ffprobe or a missing file don't.
+const PROBE_RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+
+const MEDIA_PROBE_COLUMNS = [
+    'duration_seconds', 'video_width', 'video_height', 'video_codec', 'audio_codec',
+    'audio_channels', 'is_hdr', 'bitrate', 'browser_playable', 'probed_at'
+];
+
+function isRetryableProbeError(error) {
+    return !error.status || error.status === 408 || (error.status >= 500 && error.status !== 503);
+}
+
+const MAX_CHAPTERS = 500;
+
+// The file's own chapters fill in until an admin saves a list, which probes then leave alone
+async function saveContainerChapters(movieId, chapters) {
+    await pool.query(`
+        WITH removed AS (
+            DELETE FROM movie_chapters WHERE movie_id = $1 AND source = 'container'
+        )
+        INSERT INTO movie_chapters (movie_id, start_seconds, title, source)
+        SELECT $1, c.start_seconds, c.title, 'container'
+        FROM unnest($2::REAL[], $3::VARCHAR[]) AS c(start_seconds, title)
+        WHERE NOT EXISTS (SELECT 1 FROM movie_chapters WHERE movie_id = $1 AND source = 'admin')
+    `, [
+        movieId,
+        chapters.map(chapter => chapter.start),
+        chapters.map(chapter => chapter.title.substring(0, 255))
+    ]);
+}
+
+// Chapters run until the next one starts; the last one until the end of the movie, if known
+function formatChapters(rows, duration) {
+    return rows.map((row, index) => ({
+        id: row.id,
+        start: row.start_seconds,
+        end: index + 1 < rows.length ? rows[index + 1].start_seconds : (duration || null),
+        title: row.title,
+        source: row.source
+    }));
+}
+
+// Latest swarm check from the torrent proxy's health checker, joined in as th.
+// A movie only counts as dead when none of its alternate sources is known to be alive either.
+const TORRENT_HEALTH_COLUMNS = `
+    th.seeds AS health_seeds,
+    th.peers AS health_peers,
+    th.metadata_resolved AS health_metadata_resolved,
+    th.is_dead AS health_is_dead,
+    th.checked_at AS health_checked_at,
+    (COALESCE(th.is_dead, false) AND NOT EXISTS (
+        SELECT 1 FROM movie_sources ms
+        LEFT JOIN torrent_health sh ON sh.info_hash = ms.info_hash
+        WHERE ms.movie_id = m.id AND NOT COALESCE(sh.is_dead, false)
+    )) AS health_all_sources_dead
+`;
+
+// null until the torrent has been checked
+function torrentHealthFromRow(row) {
+    if (!row.health_checked_at) return null;
+
+    return {
+        seeds: row.health_seeds,
+        peers: row.health_peers,
+        metadataResolved: row.health_metadata_resolved,
+        isDead: row.health_is_dead,
+        checkedAt: row.health_checked_at
+    };
+}
+
+// "1080p" and so on from the probe, like the badges on the movie cards
+function resolutionLabel(movie) {
+    const width = movie.video_width || 0;
+    if (width >= 3800) return '4K';
+    if (width >= 2500) return '1440p';
+    if (width >= 1900) return '1080p';
+    if (width >= 1200) return '720p';
+    return movie.video_height ? `${movie.video_height}p` : null;
+}
+
+// Drops the movie's own cache and every list cache that might show it
+async function clearMovieCaches(id) {
+    try {
+        const keys = await redis.keys('movies:*');
+        if (keys.length > 0) {
+            await redis.del(keys);
+        }
+        await redis.del(`movie:${id}`);
+    } catch (redisError) {
+        console.warn(`⚠️ Failed to clear Redis caches for movie ${id}:`, redisError.message);
+    }
+}
+
+// Ask the torrent proxy to ffprobe a movie's primary file and store what it found
+async function probeMovieMedia(movie) {
+    const response = await fetch(`http://127.0.0.1:7000/api/torrent/probe/${encodeURIComponent(movie.magnet)}/${movie.default_file_index}`, {
+        headers: { 'User-Agent': 'MovieMag/1.0' }
+    });
+    const analysis = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(analysis.error || `Probe failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    // The admin may have changed the magnet or file while the probe waited for peers
+    const result = await pool.query(`
+        UPDATE movies SET
+            duration_seconds = $1,
+            video_width = $2,
+            video_height = $3,
+            video_codec = $4,
+            audio_codec = $5,
+            audio_channels = $6,
+            is_hdr = $7,
+            bitrate = $8,
+            browser_playable = $9,
+            probed_at = CURRENT_TIMESTAMP
+        WHERE id = $10 AND magnet = $11 AND default_file_index = $12
+        RETURNING *
+    `, [
+        analysis.duration,
+        analysis.video ? analysis.video.width : null,
+        analysis.video ? analysis.video.height : null,
+        analysis.video ? analysis.video.codec : null,
+        analysis.audio ? analysis.audio.codec : null,
+        analysis.audio ? analysis.audio.channels : null,
+        analysis.video ? analysis.video.hdr : false,
+        analysis.bitrate,
+        analysis.browserPlayable,
+        movie.id,
+        movie.magnet,
+        movie.default_file_index
+    ]);
+
+    if (result.rows.length > 0) {
+        await saveContainerChapters(movie.id, (analysis.chapters || []).slice(0, MAX_CHAPTERS));
+        await clearMovieCaches(movie.id);
+    }
+
+    return result.rows[0] || null;
+}
+
+// Fire-and-forget version for ingest, so adding a movie doesn't wait on the swarm
+function probeMovieMediaInBackground(movie, attempt = 0) {
+    if (movie.default_file_index === null || movie.default_file_index === undefined) {
+        return;
+    }
+
+    probeMovieMedia(movie)
+        .then((probed) => {
+            if (probed) {
+                console.log(`🔬 Media probed for "${movie.title}": ${probed.video_width}x${probed.video_height} ${probed.video_codec}/${probed.audio_codec}`);
+            }
+        })
+        .catch((error) => {
+            if (isRetryableProbeError(error) && attempt < PROBE_RETRY_DELAYS.length) {
+                console.warn(`⚠️ Media probe for "${movie.title}" failed (${error.message}), retrying in ${PROBE_RETRY_DELAYS[attempt] / 1000}s`);
+                setTimeout(() => probeMovieMediaInBackground(movie, attempt + 1), PROBE_RETRY_DELAYS[attempt]).unref();
+                return;
+            }
+            console.warn(`⚠️ Media probe for "${movie.title}" gave up:`, error.message);
+        });
+}
+
 // Helper function to fix sequence if out of sync
 async function fixSequenceIfNeeded() {
     try {
@@ -109,7 +329,27 @@ router.post('/', writeLimiter, auth, async (req, res) => {
     }
 
     try {
-        const { title, description, year, genre, magnet, poster_url, imdb_id } = req.body;
+        const { description, year, genre, poster_url, imdb_id, torrent_file, default_file_index } = req.body;
+        let { title, magnet } = req.body;
+
+        // A .torrent upload (base64) stands in for the magnet link and can supply the title
+        let metainfo = null;
+        let metainfoBuffer = null;
+        if (torrent_file) {
+            try {
+                metainfoBuffer = Buffer.from(String(torrent_file), 'base64');
+                metainfo = parseMetainfo(metainfoBuffer);
+            } catch (parseError) {
+                return res.status(400).json({ error: 'Invalid torrent file', message: parseError.message });
+            }
+
+            if (magnet && infoHashFromMagnet(magnet) !== metainfo.infoHash) {
+                return res.status(400).json({ error: 'Magnet link does not match the torrent file' });
+            }
+
+            magnet = magnet || buildMagnet(metainfo);
+            title = title || metainfo.name.substring(0, 255);
+        }
         
         // Validation
         if (!title || !magnet) {
@@ -118,7 +358,7 @@ router.post('/', writeLimiter, auth, async (req, res) => {
                 error: 'Validation failed',
                 details: {
                     title: !title ? 'Title is required' : null,
-                    magnet: !magnet ? 'Magnet link is required' : null
+                    magnet: !magnet ? 'Magnet link or torrent file is required' : null
                 }
             });
         }
@@ -143,9 +383,16 @@ router.post('/', writeLimiter, auth, async (req, res) => {
             return res.status(400).json({ error: 'Invalid IMDB ID format' });
         }
 
+        if (!isValidFileIndex(default_file_index)) {
+            return res.status(400).json({ error: 'Invalid default file index' });
+        }
+
         // Check for duplicate magnet
         console.log('🔍 Checking for duplicate magnet...');
-        const duplicateCheck = await pool.query('SELECT id, title FROM movies WHERE magnet = $1', [magnet]);
+        const duplicateCheck = await pool.query(
+            'SELECT id, title FROM movies WHERE magnet = $1 OR info_hash = $2',
+            [magnet, infoHashFromMagnet(magnet)]
+        );
         if (duplicateCheck.rows.length > 0) {
             console.log('❌ Duplicate magnet found');
             return res.status(409).json({ 
@@ -157,10 +404,38 @@ router.post('/', writeLimiter, auth, async (req, res) => {
         // Process data
         const normalizedGenres = normalizeGenres(genre);
         const normalizedGenreString = normalizedGenres.join(', ');
-        const infoHash = extractInfoHash(magnet);
+        const infoHash = infoHashFromMagnet(magnet);
+
+        // An uploaded torrent already carries its file list; magnets have to ask the swarm
+        let torrentInfo;
+        if (metainfo) {
+            torrentInfo = await registerTorrentFile(metainfoBuffer);
+            if (!torrentInfo) {
+                console.warn('⚠️ Torrent proxy did not accept the torrent file, using parsed metadata');
+                torrentInfo = {
+                    name: metainfo.name,
+                    infoHash: metainfo.infoHash,
+                    length: metainfo.length,
+                    files: videoFilesOf(metainfo)
+                };
+            }
+        } else {
+            console.log('🔍 Analyzing torrent for:', title);
+            torrentInfo = await analyzeTorrent(magnet);
+        }
 
-        console.log('🔍 Analyzing torrent for:', title);
-        const torrentInfo = await analyzeTorrent(magnet);
+        // The admin's pick must be one of the torrent's video files; without a pick, use the largest
+        let defaultFileIndex = default_file_index === undefined || default_file_index === null || default_file_index === ''
+            ? null
+            : Number(default_file_index);
+        if (torrentInfo?.files) {
+            if (defaultFileIndex !== null && !torrentInfo.files.some(f => f.index === defaultFileIndex)) {
+                return res.status(400).json({ error: 'Default file index is not a video file in this torrent' });
+            }
+            if (defaultFileIndex === null) {
+                defaultFileIndex = largestFileIndex(torrentInfo.files);
+            }
+        }
 
         // Try to fix sequence before insert
         await fixSequenceIfNeeded();
@@ -169,8 +444,8 @@ router.post('/', writeLimiter, auth, async (req, res) => {
         console.log('💾 Inserting movie into database...');
         
         const movieResult = await pool.query(`
-            INSERT INTO movies (title, description, year, genre, magnet, poster_url, imdb_id, info_hash, torrent_files)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+            INSERT INTO movies (title, description, year, genre, magnet, poster_url, imdb_id, info_hash, torrent_files, torrent_metainfo, default_file_index)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
             RETURNING *
         `, [
             title, 
@@ -181,7 +456,9 @@ router.post('/', writeLimiter, auth, async (req, res) => {
             poster_url || null, 
             imdb_id || null, 
             infoHash,
-            torrentInfo?.files ? JSON.stringify(torrentInfo.files) : null
+            torrentInfo?.files ? JSON.stringify(torrentInfo.files) : null,
+            metainfoBuffer,
+            defaultFileIndex
         ]);
 
         const movie = movieResult.rows[0];
@@ -199,10 +476,12 @@ router.post('/', writeLimiter, auth, async (req, res) => {
             console.warn('⚠️ Failed to clear Redis caches for POST:', redisError.message);
         }
 
+        probeMovieMediaInBackground(movie);
+
         console.log(`✅ Movie added successfully: "${title}" (ID: ${movie.id})`);
         
         const response = {
-            ...movie,
+            ...withoutMetainfo(movie),
             normalizedGenres,
             displayGenres: formatGenresForDisplay(normalizedGenres),
             hasValidMagnet: true,
@@ -258,7 +537,7 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
 
     try {
         const { id } = req.params;
-        const { title, description, year, genre, magnet, poster_url, imdb_id } = req.body;
+        const { title, description, year, genre, magnet, poster_url, imdb_id, default_file_index } = req.body;
         
         // Validate ID
         if (!id || (isNaN(parseInt(id)) && !validator.isUUID(id))) {
@@ -267,7 +546,7 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
 
         // Check if movie exists
         console.log('🔍 Checking if movie exists...');
-        const existsCheck = await pool.query('SELECT id FROM movies WHERE id = $1', [id]);
+        const existsCheck = await pool.query('SELECT id, info_hash, default_file_index FROM movies WHERE id = $1', [id]);
         if (existsCheck.rows.length === 0) {
             return res.status(404).json({ error: 'Movie not found' });
         }
@@ -293,6 +572,15 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
             return res.status(400).json({ error: 'Invalid IMDB ID format' });
         }
 
+        if (!isValidFileIndex(default_file_index)) {
+            return res.status(400).json({ error: 'Invalid default file index' });
+        }
+
+        // undefined leaves the file alone; null or '' clears it
+        let defaultFileIndex = default_file_index === undefined
+            ? undefined
+            : (default_file_index === null || default_file_index === '' ? null : Number(default_file_index));
+
         // Build dynamic update query
         const updates = [];
         const values = [];
@@ -322,9 +610,10 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
         if (magnet !== undefined) {
             // Check for duplicate magnet (excluding current movie)
             console.log('🔍 Checking for duplicate magnet on update...');
+            const infoHash = infoHashFromMagnet(magnet);
             const duplicateCheck = await pool.query(
-                'SELECT id, title FROM movies WHERE magnet = $1 AND id != $2',
-                [magnet, id]
+                'SELECT id, title FROM movies WHERE (magnet = $1 OR info_hash = $2) AND id != $3',
+                [magnet, infoHash, id]
             );
             if (duplicateCheck.rows.length > 0) {
                 return res.status(409).json({
@@ -333,18 +622,33 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
                 });
             }
 
+            // Re-analyze torrent and update files
+            console.log('🔍 Re-analyzing torrent for updated magnet link...');
+            const torrentInfo = await analyzeTorrent(magnet);
+
+            // Same rule as adding a movie: the admin's pick must be one of the torrent's video files
+            if (torrentInfo?.files && defaultFileIndex !== undefined && defaultFileIndex !== null &&
+                !torrentInfo.files.some(f => f.index === defaultFileIndex)) {
+                return res.status(400).json({ error: 'Default file index is not a video file in this torrent' });
+            }
+
             paramCount++;
             updates.push(`magnet = $${paramCount}`);
             values.push(magnet);
 
-            const infoHash = extractInfoHash(magnet);
             paramCount++;
             updates.push(`info_hash = $${paramCount}`);
             values.push(infoHash);
 
-            // Re-analyze torrent and update files
-            console.log('🔍 Re-analyzing torrent for updated magnet link...');
-            const torrentInfo = await analyzeTorrent(magnet);
+            // An uploaded .torrent and the chosen file only describe the torrent they came with,
+            // so a new torrent without a pick starts on its largest video file
+            if (infoHash !== existsCheck.rows[0].info_hash) {
+                updates.push('torrent_metainfo = NULL');
+                if (defaultFileIndex === undefined) {
+                    defaultFileIndex = largestFileIndex(torrentInfo?.files);
+                }
+            }
+
             paramCount++;
             updates.push(`torrent_files = $${paramCount}`);
             values.push(torrentInfo?.files ? JSON.stringify(torrentInfo.files) : null);
@@ -354,6 +658,11 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
             updates.push(`poster_url = $${paramCount}`);
             values.push(poster_url || null);
         }
+        if (defaultFileIndex !== undefined) {
+            paramCount++;
+            updates.push(`default_file_index = $${paramCount}`);
+            values.push(defaultFileIndex);
+        }
         if (imdb_id !== undefined) {
             paramCount++;
             updates.push(`imdb_id = $${paramCount}`);
@@ -364,6 +673,14 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
 
+        // What the probe found describes the old file; it's re-probed once the update is saved
+        const previous = existsCheck.rows[0];
+        const fileChanged = (magnet !== undefined && infoHashFromMagnet(magnet) !== previous.info_hash) ||
+            (defaultFileIndex !== undefined && defaultFileIndex !== previous.default_file_index);
+        if (fileChanged) {
+            updates.push(...MEDIA_PROBE_COLUMNS.map(column => `${column} = NULL`));
+        }
+
         updates.push('updated_at = CURRENT_TIMESTAMP');
         values.push(id);
 
@@ -398,10 +715,15 @@ router.put('/:id', writeLimiter, auth, async (req, res) => {
             console.warn('⚠️ Failed to clear Redis caches for PUT:', redisError.message);
         }
 
+        if (fileChanged) {
+            await pool.query("DELETE FROM movie_chapters WHERE movie_id = $1 AND source = 'container'", [id]);
+            probeMovieMediaInBackground(movie);
+        }
+
         console.log(`✅ Movie updated successfully: "${movie.title}" (ID: ${id})`);
         
         const response = {
-            ...movie,
+            ...withoutMetainfo(movie),
             normalizedGenres: normalizeGenres(movie.genre),
             displayGenres: movie.genre ? formatGenresForDisplay(normalizeGenres(movie.genre)) : null,
             hasValidMagnet: validateMagnetLink(movie.magnet)
@@ -544,6 +866,798 @@ router.post('/admin/normalize-genres', writeLimiter, auth, async (req, res) => {
     }
 });
 
+// Download states of pinned movies (admin only)
+router.get('/admin/downloads', readLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const response = await fetch('http://127.0.0.1:7000/internal/pins');
+        if (!response.ok) {
+            return res.status(502).json({ error: 'Torrent service unavailable' });
+        }
+
+        const { pins } = await response.json();
+        const moviesResult = await pool.query('SELECT id, title, magnet FROM movies');
+
+        const downloads = [];
+        for (const movie of moviesResult.rows) {
+            const infoHash = infoHashFromMagnet(movie.magnet);
+            const pin = pins.find(p => p.magnet === movie.magnet || p.infoHash === infoHash);
+            if (pin) {
+                downloads.push({ movieId: movie.id, title: movie.title, ...pin });
+            }
+        }
+
+        res.json({ downloads });
+    } catch (error) {
+        console.error('❌ Error fetching downloads:', error);
+        res.status(500).json({
+            error: 'Failed to fetch downloads',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Live status of every open torrent engine, relayed as Server-Sent Events from the torrent service (admin only).
+// EventSource can't send the Authorization header, so admin.html reads this with fetch.
+router.get('/admin/torrents/status', readLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const controller = new AbortController();
+    req.on('close', () => controller.abort());
+
+    try {
+        const response = await fetch('http://127.0.0.1:7000/internal/status', { signal: controller.signal });
+        if (!response.ok) {
+            return res.status(502).json({ error: 'Torrent service unavailable' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // Ends when either side goes away; the dashboard reconnects by itself
+        Readable.fromWeb(response.body)
+            .on('error', () => res.end())
+            .pipe(res);
+    } catch (error) {
+        if (controller.signal.aborted) return;
+
+        console.error('❌ Error relaying torrent status:', error);
+        res.status(502).json({ error: 'Torrent service unavailable' });
+    }
+});
+
+// Pin a movie: download it fully to the server and keep it out of cache eviction (admin only)
+router.post('/:id/pin', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, magnet FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        const response = await fetch(`http://127.0.0.1:7000/internal/pins/${encodeURIComponent(movie.magnet)}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            return res.status(502).json({ error: 'Failed to pin movie', message: data.error });
+        }
+
+        console.log(`📌 Movie pinned: "${movie.title}" (ID: ${id})`);
+        res.json({
+            message: 'Movie pinned, download started',
+            download: { movieId: movie.id, title: movie.title, ...data }
+        });
+    } catch (error) {
+        console.error('❌ Error pinning movie:', error);
+        res.status(500).json({
+            error: 'Failed to pin movie',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Unpin a movie, its data becomes normal cache again (admin only)
+router.delete('/:id/pin', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, magnet FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        const response = await fetch(`http://127.0.0.1:7000/internal/pins/${encodeURIComponent(movie.magnet)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            return res.status(response.status === 404 ? 404 : 502).json({ error: data.error || 'Failed to unpin movie' });
+        }
+
+        console.log(`📌 Movie unpinned: "${movie.title}" (ID: ${id})`);
+        res.json({ message: 'Movie unpinned' });
+    } catch (error) {
+        console.error('❌ Error unpinning movie:', error);
+        res.status(500).json({
+            error: 'Failed to unpin movie',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// List a movie's uploaded subtitles. The admin panel lists them too, so any valid token will do.
+router.get('/:id/subtitles', readLimiter, auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const result = await pool.query(`
+            SELECT id, language, label, file_name, created_at
+            FROM movie_subtitles
+            WHERE movie_id = $1
+            ORDER BY label, id
+        `, [id]);
+
+        res.json({
+            subtitles: result.rows.map(row => ({ ...row, url: subtitleUrl(id, row.id) }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching subtitles:', error);
+        res.status(500).json({
+            error: 'Failed to fetch subtitles',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// One uploaded subtitle as WebVTT
+router.get('/:id/subtitles/:subtitleId', readLimiter, auth, async (req, res) => {
+    try {
+        const { id, subtitleId } = req.params;
+
+        if (isNaN(parseInt(id)) || isNaN(parseInt(subtitleId))) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const result = await pool.query(
+            'SELECT vtt FROM movie_subtitles WHERE id = $1 AND movie_id = $2',
+            [subtitleId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Subtitle not found' });
+        }
+
+        res.set({
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Cache-Control': 'private, max-age=3600'
+        });
+        res.send(result.rows[0].vtt);
+    } catch (error) {
+        console.error('❌ Error fetching subtitle:', error);
+        res.status(500).json({
+            error: 'Failed to fetch subtitle',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Attach a subtitle file (SRT, ASS/SSA or VTT, base64 encoded) to a movie (admin only).
+// Language and label default to what the file name suggests.
+router.post('/:id/subtitles', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+        const { file, file_name, language, label } = req.body;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const fileName = String(file_name || '').trim();
+        const format = subtitleFormat(fileName);
+        if (!format) {
+            return res.status(400).json({ error: 'Subtitle must be an .srt, .ass, .ssa or .vtt file' });
+        }
+
+        const buffer = Buffer.from(String(file || ''), 'base64');
+        if (buffer.length === 0) {
+            return res.status(400).json({ error: 'Subtitle file is empty' });
+        }
+        if (buffer.length > MAX_SUBTITLE_BYTES) {
+            return res.status(413).json({ error: 'Subtitle file too large' });
+        }
+
+        if (language && !isValidLanguageTag(language)) {
+            return res.status(400).json({ error: 'Invalid language tag' });
+        }
+        if (label && String(label).length > 100) {
+            return res.status(400).json({ error: 'Label must be 100 characters or less' });
+        }
+
+        const vtt = toWebVtt(buffer, format);
+        if (!vtt.includes('-->')) {
+            return res.status(400).json({ error: 'No subtitle cues found in file' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const guessed = describeSubtitleFile(fileName);
+        const result = await pool.query(`
+            INSERT INTO movie_subtitles (movie_id, language, label, file_name, vtt)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, language, label, file_name, created_at
+        `, [
+            id,
+            language || guessed.language,
+            String(label || '').trim() || guessed.label,
+            fileName.substring(0, 255),
+            vtt
+        ]);
+
+        const subtitle = result.rows[0];
+        console.log(`💬 Subtitle added to "${movieResult.rows[0].title}": ${subtitle.label} (${fileName})`);
+        res.status(201).json({ ...subtitle, url: subtitleUrl(id, subtitle.id) });
+    } catch (error) {
+        console.error('❌ Error adding subtitle:', error);
+        res.status(500).json({
+            error: 'Failed to add subtitle',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Remove an uploaded subtitle (admin only)
+router.delete('/:id/subtitles/:subtitleId', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id, subtitleId } = req.params;
+
+        if (isNaN(parseInt(id)) || isNaN(parseInt(subtitleId))) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM movie_subtitles WHERE id = $1 AND movie_id = $2 RETURNING label',
+            [subtitleId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Subtitle not found' });
+        }
+
+        console.log(`🗑️ Subtitle removed from movie ${id}: ${result.rows[0].label}`);
+        res.json({ message: 'Subtitle deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting subtitle:', error);
+        res.status(500).json({
+            error: 'Failed to delete subtitle',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// List the video files of a magnet or uploaded .torrent so the admin can choose the primary one (admin only)
+router.post('/admin/torrent-files', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { magnet, torrent_file } = req.body;
+
+        if (torrent_file) {
+            let metainfo;
+            try {
+                metainfo = parseMetainfo(Buffer.from(String(torrent_file), 'base64'));
+            } catch (parseError) {
+                return res.status(400).json({ error: 'Invalid torrent file', message: parseError.message });
+            }
+
+            const files = videoFilesOf(metainfo);
+            return res.json({ name: metainfo.name, infoHash: metainfo.infoHash, files, defaultFileIndex: largestFileIndex(files) });
+        }
+
+        if (!validateMagnetLink(magnet)) {
+            return res.status(400).json({ error: 'Invalid magnet link format' });
+        }
+
+        const torrentInfo = await analyzeTorrent(magnet);
+        if (!torrentInfo) {
+            return res.status(504).json({ error: 'Could not fetch torrent metadata, try again or upload the .torrent file' });
+        }
+
+        res.json({ ...torrentInfo, defaultFileIndex: largestFileIndex(torrentInfo.files) });
+    } catch (error) {
+        console.error('❌ Error listing torrent files:', error);
+        res.status(500).json({
+            error: 'Failed to list torrent files',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Re-fetch a movie's torrent metadata from the swarm, replacing the cached copy (admin only)
+router.post('/:id/torrent-info/refresh', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, magnet FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        const response = await fetch(`http://127.0.0.1:7000/internal/info/${encodeURIComponent(movie.magnet)}/refresh`, {
+            method: 'POST'
+        });
+        const torrentInfo = await response.json();
+
+        if (!response.ok) {
+            return res.status(response.status === 408 ? 504 : 502).json({
+                error: 'Failed to refresh torrent info',
+                message: torrentInfo.error
+            });
+        }
+
+        await pool.query(
+            'UPDATE movies SET info_hash = $1, torrent_files = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [torrentInfo.infoHash, JSON.stringify(torrentInfo.files), id]
+        );
+
+        await clearMovieCaches(id);
+
+        console.log(`🔄 Torrent info refreshed: "${movie.title}" (ID: ${id})`);
+        res.json({ message: 'Torrent info refreshed', torrentInfo });
+    } catch (error) {
+        console.error('❌ Error refreshing torrent info:', error);
+        res.status(500).json({
+            error: 'Failed to refresh torrent info',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+// A movie's chapters, in order. The admin panel edits them too, so any valid token will do.
+router.get('/:id/chapters', readLimiter, auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT duration_seconds FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const result = await pool.query(`
+            SELECT id, start_seconds, title, source
+            FROM movie_chapters
+            WHERE movie_id = $1
+            ORDER BY start_seconds, id
+        `, [id]);
+
+        res.json({ chapters: formatChapters(result.rows, movieResult.rows[0].duration_seconds) });
+    } catch (error) {
+        console.error('❌ Error fetching chapters:', error);
+        res.status(500).json({
+            error: 'Failed to fetch chapters',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Replace a movie's chapters with { chapters: [{ start, title }] } (admin only).
+// Saved chapters are kept over the file's own; an empty list clears them until the next probe.
+router.put('/:id/chapters', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+        const { chapters } = req.body;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        if (!Array.isArray(chapters)) {
+            return res.status(400).json({ error: 'chapters must be an array' });
+        }
+        if (chapters.length > MAX_CHAPTERS) {
+            return res.status(400).json({ error: `A movie can have at most ${MAX_CHAPTERS} chapters` });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, duration_seconds FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+        const movie = movieResult.rows[0];
+
+        const cleaned = [];
+        for (const chapter of chapters) {
+            const start = Number(chapter && chapter.start);
+            const title = String((chapter && chapter.title) || '').trim();
+
+            if (!Number.isFinite(start) || start < 0) {
+                return res.status(400).json({ error: 'Chapter start must be a number of seconds, 0 or more' });
+            }
+            if (movie.duration_seconds && start >= movie.duration_seconds) {
+                return res.status(400).json({ error: `Chapter "${title}" starts after the end of the movie` });
+            }
+            if (!title || title.length > 255) {
+                return res.status(400).json({ error: 'Chapter titles must be 1-255 characters' });
+            }
+            if (cleaned.some(existing => existing.start === start)) {
+                return res.status(400).json({ error: 'Two chapters can\'t start at the same time' });
+            }
+
+            cleaned.push({ start, title });
+        }
+        cleaned.sort((a, b) => a.start - b.start);
+
+        // One statement, so a failed insert leaves the old chapters in place
+        const result = await pool.query(`
+            WITH removed AS (
+                DELETE FROM movie_chapters WHERE movie_id = $1
+            )
+            INSERT INTO movie_chapters (movie_id, start_seconds, title, source)
+            SELECT $1, c.start_seconds, c.title, 'admin'
+            FROM unnest($2::REAL[], $3::VARCHAR[]) AS c(start_seconds, title)
+            RETURNING id, start_seconds, title, source
+        `, [id, cleaned.map(chapter => chapter.start), cleaned.map(chapter => chapter.title)]);
+
+        const rows = result.rows.sort((a, b) => a.start_seconds - b.start_seconds);
+        console.log(`📑 Chapters saved for "${movie.title}": ${rows.length}`);
+        res.json({ chapters: formatChapters(rows, movie.duration_seconds) });
+    } catch (error) {
+        console.error('❌ Error saving chapters:', error);
+        res.status(500).json({
+            error: 'Failed to save chapters',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Re-probe a movie's primary file now (admin only), e.g. for movies added before ingest probing
+router.post('/:id/probe', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, magnet, default_file_index FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        if (movie.default_file_index === null) {
+            return res.status(409).json({ error: 'Movie has no default file to probe; refresh its torrent info first' });
+        }
+
+        let probed;
+        try {
+            probed = await probeMovieMedia(movie);
+        } catch (probeError) {
+            return res.status(probeError.status === 408 ? 504 : 502).json({
+                error: 'Failed to probe movie file',
+                message: probeError.message
+            });
+        }
+
+        if (!probed) {
+            return res.status(409).json({ error: 'Movie file changed while probing, try again' });
+        }
+
+        console.log(`🔬 Media re-probed: "${movie.title}" (ID: ${id})`);
+        res.json(withoutMetainfo(probed));
+    } catch (error) {
+        console.error('❌ Error probing movie:', error);
+        res.status(500).json({
+            error: 'Failed to probe movie',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// A movie's sources in the order players try them: the movie's own magnet first, then the
+// alternates by rank. The admin panel manages them too, so any valid token will do.
+router.get('/:id/sources', readLimiter, auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query(`
+            SELECT m.id, m.magnet, m.info_hash, m.default_file_index, m.video_width, m.video_height, ${TORRENT_HEALTH_COLUMNS}
+            FROM movies m
+            LEFT JOIN torrent_health th ON th.info_hash = m.info_hash
+            WHERE m.id = $1
+        `, [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const sourcesResult = await pool.query(`
+            SELECT ms.id, ms.magnet, ms.info_hash, ms.label, ms.default_file_index, ${TORRENT_HEALTH_COLUMNS}
+            FROM movie_sources ms
+            JOIN movies m ON m.id = ms.movie_id
+            LEFT JOIN torrent_health th ON th.info_hash = ms.info_hash
+            WHERE ms.movie_id = $1
+            ORDER BY ms.rank, ms.id
+        `, [id]);
+
+        const movie = movieResult.rows[0];
+        const describe = (row, label, primary) => ({
+            id: primary ? null : row.id,
+            label,
+            magnet: row.magnet,
+            infoHash: row.info_hash || infoHashFromMagnet(row.magnet),
+            fileIndex: row.default_file_index,
+            primary,
+            health: torrentHealthFromRow(row)
+        });
+
+        res.json({
+            sources: [
+                describe(movie, resolutionLabel(movie) || 'Default', true),
+                ...sourcesResult.rows.map(row => describe(row, row.label, false))
+            ]
+        });
+    } catch (error) {
+        console.error('❌ Error fetching sources:', error);
+        res.status(500).json({
+            error: 'Failed to fetch sources',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Add an alternate source (admin only). Body: { magnet, label, default_file_index }; without a
+// file index the largest video is used, like for new movies.
+router.post('/:id/sources', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+        const { magnet, default_file_index } = req.body;
+        const label = String(req.body.label || '').trim();
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+        if (!validateMagnetLink(magnet)) {
+            return res.status(400).json({ error: 'Invalid magnet link format' });
+        }
+        if (!label || label.length > 100) {
+            return res.status(400).json({ error: 'Label must be 1-100 characters' });
+        }
+        if (!isValidFileIndex(default_file_index)) {
+            return res.status(400).json({ error: 'Default file index must be a non-negative integer' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, info_hash FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        const infoHash = infoHashFromMagnet(magnet);
+        if (infoHash === movie.info_hash) {
+            return res.status(409).json({ error: 'That magnet is already the movie\'s main source' });
+        }
+
+        let fileIndex = default_file_index === undefined || default_file_index === null || default_file_index === ''
+            ? null
+            : Number(default_file_index);
+        if (fileIndex === null) {
+            const torrentInfo = await analyzeTorrent(magnet);
+            fileIndex = torrentInfo ? largestFileIndex(torrentInfo.files) : null;
+        }
+
+        const result = await pool.query(`
+            INSERT INTO movie_sources (movie_id, magnet, info_hash, label, default_file_index, rank)
+            SELECT $1::INTEGER, $2::TEXT, $3::VARCHAR, $4::VARCHAR, $5::INTEGER, COALESCE(MAX(rank) + 1, 0)
+            FROM movie_sources WHERE movie_id = $1
+            ON CONFLICT (movie_id, info_hash) DO NOTHING
+            RETURNING id, magnet, info_hash, label, default_file_index, rank
+        `, [id, magnet, infoHash, label, fileIndex]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'That magnet is already a source of this movie' });
+        }
+
+        await clearMovieCaches(id);
+
+        console.log(`🔀 Source added to "${movie.title}": ${label}`);
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('❌ Error adding source:', error);
+        res.status(500).json({
+            error: 'Failed to add source',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Reorder the alternates (admin only). Body: { ids: [sourceId, ...] } in the new order.
+router.put('/:id/sources/order', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+        const { ids } = req.body;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+        if (!Array.isArray(ids) || ids.some(sourceId => !Number.isInteger(Number(sourceId)))) {
+            return res.status(400).json({ error: 'ids must be a list of source IDs' });
+        }
+
+        const result = await pool.query(`
+            UPDATE movie_sources ms
+            SET rank = o.position
+            FROM unnest($2::INTEGER[]) WITH ORDINALITY AS o(id, position)
+            WHERE ms.id = o.id AND ms.movie_id = $1
+            RETURNING ms.id
+        `, [id, ids.map(Number)]);
+
+        if (result.rows.length !== ids.length) {
+            return res.status(400).json({ error: 'Some sources don\'t belong to this movie' });
+        }
+
+        res.json({ message: 'Sources reordered' });
+    } catch (error) {
+        console.error('❌ Error reordering sources:', error);
+        res.status(500).json({
+            error: 'Failed to reorder sources',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Remove an alternate source (admin only)
+router.delete('/:id/sources/:sourceId', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id, sourceId } = req.params;
+
+        if (isNaN(parseInt(id)) || isNaN(parseInt(sourceId))) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM movie_sources WHERE id = $1 AND movie_id = $2 RETURNING label',
+            [sourceId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        await clearMovieCaches(id);
+
+        console.log(`🗑️ Source removed from movie ${id}: ${result.rows[0].label}`);
+        res.json({ message: 'Source deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting source:', error);
+        res.status(500).json({
+            error: 'Failed to delete source',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Check a movie's swarm now instead of waiting for the next round (admin only); takes about a minute
+router.post('/:id/health-check', writeLimiter, auth, async (req, res) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid movie ID format' });
+        }
+
+        const movieResult = await pool.query('SELECT id, title, magnet, default_file_index FROM movies WHERE id = $1', [id]);
+        if (movieResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Movie not found' });
+        }
+
+        const movie = movieResult.rows[0];
+        const response = await fetch('http://127.0.0.1:7000/internal/health', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ magnet: movie.magnet, fileIndex: movie.default_file_index })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            return res.status(502).json({ error: 'Failed to request health check', message: data.error });
+        }
+
+        console.log(`🩺 Health check requested: "${movie.title}" (ID: ${id})`);
+        res.status(202).json({ message: 'Health check queued; results show up in about a minute' });
+    } catch (error) {
+        console.error('❌ Error requesting health check:', error);
+        res.status(500).json({
+            error: 'Failed to request health check',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
 // PUBLIC READ ROUTES (require user authentication)
 
 // Get all movies with pagination (requires user auth)
@@ -581,9 +1695,11 @@ router.get('/', readLimiter, userAuth, async (req, res) => {
                    wt.watch_time_seconds,
                    wt.total_duration_seconds,
                    wt.is_completed,
-                   wt.last_watched_at
+                   wt.last_watched_at,
+                   ${TORRENT_HEALTH_COLUMNS}
             FROM movies m
             LEFT JOIN user_watch_time wt ON m.id = wt.movie_id AND wt.user_id = $1
+            LEFT JOIN torrent_health th ON th.info_hash = m.info_hash
             WHERE 1=1
         `;
         const params = [userId];
@@ -638,11 +1754,13 @@ router.get('/', readLimiter, userAuth, async (req, res) => {
         ]);
 
         const movies = result.rows.map(movie => ({
-            ...movie,
+            ...withoutMetainfo(movie),
             normalizedGenres: normalizeGenres(movie.genre),
             displayGenres: movie.genre ? formatGenresForDisplay(normalizeGenres(movie.genre)) : null,
             hasValidMagnet: validateMagnetLink(movie.magnet),
-            infoHash: movie.info_hash || extractInfoHash(movie.magnet),
+            infoHash: movie.info_hash || infoHashFromMagnet(movie.magnet),
+            torrentHealth: torrentHealthFromRow(movie),
+            isDead: !!movie.health_all_sources_dead,
             watchProgress: movie.watch_time_seconds ? {
                 watchTimeSeconds: movie.watch_time_seconds,
                 totalDurationSeconds: movie.total_duration_seconds,
@@ -709,12 +1827,14 @@ router.get('/:id', readLimiter, userAuth, async (req, res) => {
                    wt.watch_time_seconds,
                    wt.total_duration_seconds,
                    wt.is_completed,
-                   wt.last_watched_at
+                   wt.last_watched_at,
+                   ${TORRENT_HEALTH_COLUMNS}
             FROM movies m
             LEFT JOIN streaming_sessions s ON m.id = s.movie_id
             LEFT JOIN user_watch_time wt ON m.id = wt.movie_id AND wt.user_id = $2
+            LEFT JOIN torrent_health th ON th.info_hash = m.info_hash
             WHERE m.id = $1
-            GROUP BY m.id, wt.watch_time_seconds, wt.total_duration_seconds, wt.is_completed, wt.last_watched_at
+            GROUP BY m.id, wt.watch_time_seconds, wt.total_duration_seconds, wt.is_completed, wt.last_watched_at, th.id
         `, [id, userId]);
 
         if (result.rows.length === 0) {
@@ -724,11 +1844,13 @@ router.get('/:id', readLimiter, userAuth, async (req, res) => {
         const movie = result.rows[0];
         
         const enhancedMovie = {
-            ...movie,
+            ...withoutMetainfo(movie),
             normalizedGenres: normalizeGenres(movie.genre),
             displayGenres: movie.genre ? formatGenresForDisplay(normalizeGenres(movie.genre)) : null,
             hasValidMagnet: validateMagnetLink(movie.magnet),
             play_count: parseInt(movie.play_count) || 0,
+            torrentHealth: torrentHealthFromRow(movie),
+            isDead: !!movie.health_all_sources_dead,
             watchProgress: movie.watch_time_seconds ? {
                 watchTimeSeconds: movie.watch_time_seconds,
                 totalDurationSeconds: movie.total_duration_seconds,
@@ -0,0 +1,87 @@
+const express = require('express');
+const { pool } = require('../db/db');
+const userAuth = require('../middleware/userAuth');
+const rateLimit = require('express-rate-limit');
+const { mediaTarget } = require('./media-target');
+
+const router = express.Router();
+
+const preferencesLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { error: 'Too many preference updates, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const MAX_SUBTITLE_OFFSET_MS = 10 * 60 * 1000;
+
+async function getSubtitlePreferences(req, res, target) {
+    try {
+        if (isNaN(parseInt(target.id))) {
+            return res.status(400).json({ error: `Invalid ${target.label.toLowerCase()} ID format` });
+        }
+
+        const result = await pool.query(`
+            SELECT offset_ms FROM user_subtitle_preferences
+            WHERE user_id = $1 AND ${target.column} = $2
+        `, [req.user.id, target.id]);
+
+        res.json({ offsetMs: result.rows.length > 0 ? result.rows[0].offset_ms : 0 });
+    } catch (error) {
+        console.error('❌ Error getting subtitle preferences:', error);
+        res.status(500).json({
+            error: 'Failed to get subtitle preferences',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
+
+router.get('/subtitles/movie/:movieId', preferencesLimiter, userAuth, (req, res) => {
+    getSubtitlePreferences(req, res, mediaTarget(req.params.movieId, null));
+});
+
+router.get('/subtitles/episode/:episodeId', preferencesLimiter, userAuth, (req, res) => {
+    getSubtitlePreferences(req, res, mediaTarget(null, req.params.episodeId));
+});
+
+// Save the subtitle sync offset for a movie or an episode
+router.put('/subtitles', preferencesLimiter, userAuth, async (req, res) => {
+    try {
+        const { movieId, episodeId, offsetMs } = req.body;
+        const userId = req.user.id;
+
+        if (!movieId && !episodeId) {
+            return res.status(400).json({ error: 'movieId or episodeId is required' });
+        }
+
+        if (!Number.isInteger(offsetMs) || Math.abs(offsetMs) > MAX_SUBTITLE_OFFSET_MS) {
+            return res.status(400).json({ error: `offsetMs must be a whole number of milliseconds within ±${MAX_SUBTITLE_OFFSET_MS}` });
+        }
+
+        const target = mediaTarget(movieId, episodeId);
+
+        const targetResult = await pool.query(`SELECT id FROM ${target.table} WHERE id = $1`, [target.id]);
+        if (targetResult.rows.length === 0) {
+            return res.status(404).json({ error: `${target.label} not found` });
+        }
+
+        await pool.query(`
+            INSERT INTO user_subtitle_preferences (user_id, ${target.column}, offset_ms, updated_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (user_id, ${target.column}) DO UPDATE SET
+                offset_ms = EXCLUDED.offset_ms,
+                updated_at = NOW()
+        `, [userId, target.id, offsetMs]);
+
+        res.json({ success: true, offsetMs });
+    } catch (error) {
+        console.error('❌ Error saving subtitle preferences:', error);
+        res.status(500).json({
+            error: 'Failed to save subtitle preferences',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
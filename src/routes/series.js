@@ -0,0 +1,625 @@
+const express = require('express');
+const { pool, redis } = require('../db/db');
+const auth = require('../middleware/auth');
+const userAuth = require('../middleware/userAuth');
+const rateLimit = require('express-rate-limit');
+const { infoHashFromMagnet } = require('../torrent-streaming/cache-manager');
+
+const router = express.Router();
+
+// Rate limiting
+const readLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 1000,
+    message: { error: 'Too many read requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const writeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    message: { error: 'Too many write requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+function validateMagnetLink(magnet) {
+    if (!magnet || typeof magnet !== 'string') return false;
+    return /^magnet:\?xt=urn:btih:[a-zA-Z0-9]{32,40}/.test(magnet);
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(Number(value)) && Number(value) >= 0 && value !== '' && value !== null;
+}
+
+// For PUT bodies: a field that's left out stays as it is (undefined), null or '' clears it
+function optionalField(value, convert = v => v) {
+    if (value === undefined) return undefined;
+    return value === null || value === '' ? null : convert(value);
+}
+
+// "SET a = $1, b = $2" for the fields that are not undefined, plus updated_at; the row id is the last parameter
+function buildUpdate(fields, id) {
+    const assignments = [];
+    const values = [];
+    for (const [column, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        values.push(value);
+        assignments.push(`${column} = $${values.length}`);
+    }
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    return { set: assignments.join(', '), values, idParam: `$${values.length}` };
+}
+
+// "Show.S01E02.mkv", "show s1 e2", "Show 1x02" -> { season: 1, episode: 2 }
+function parseEpisodeNumber(fileName) {
+    const match = /s(\d{1,2})[ ._-]*e(\d{1,3})/i.exec(fileName) || /\b(\d{1,2})x(\d{2,3})\b/i.exec(fileName);
+    if (!match) return null;
+    return { season: parseInt(match[1]), episode: parseInt(match[2]) };
+}
+
+// Same torrent metadata lookup the movies routes use; the proxy answers from torrent_cache when it can
+async function fetchTorrentInfo(magnet) {
+    try {
+        const response = await fetch(`http://127.0.0.1:7000/api/torrent/info/${encodeURIComponent(magnet)}`, {
+            headers: { 'User-Agent': 'MovieMag/1.0' }
+        });
+
+        if (response.ok) {
+            return await response.json();
+        }
+        return null;
+    } catch (error) {
+        console.warn('Torrent analysis error:', error.message);
+        return null;
+    }
+}
+
+async function clearSeriesCache() {
+    try {
+        const keys = await redis.keys('series:*');
+        if (keys.length > 0) {
+            await redis.del(keys);
+        }
+    } catch (redisError) {
+        console.warn('⚠️ Failed to clear series caches:', redisError.message);
+    }
+}
+
+function formatProgress(row) {
+    if (row.watch_time_seconds === null || row.watch_time_seconds === undefined) {
+        return null;
+    }
+    return {
+        watchTimeSeconds: row.watch_time_seconds,
+        totalDurationSeconds: row.total_duration_seconds,
+        isCompleted: row.is_completed,
+        lastWatchedAt: row.last_watched_at,
+        progress: row.total_duration_seconds ?
+            Math.round((row.watch_time_seconds / row.total_duration_seconds) * 100) : 0
+    };
+}
+
+// Episode columns plus where it sits in the series, for the player and next-episode lookups
+const EPISODE_SELECT = `
+    SELECT e.*, s.season_number, s.series_id, sr.title AS series_title, sr.poster_url
+    FROM episodes e
+    JOIN seasons s ON e.season_id = s.id
+    JOIN series sr ON s.series_id = sr.id
+`;
+
+// Next episode by (season, episode) order, crossing into the next season when needed
+async function findNextEpisode(episode) {
+    const result = await pool.query(`
+        ${EPISODE_SELECT}
+        WHERE s.series_id = $1 AND (s.season_number, e.episode_number) > ($2, $3)
+        ORDER BY s.season_number, e.episode_number
+        LIMIT 1
+    `, [episode.series_id, episode.season_number, episode.episode_number]);
+
+    return result.rows[0] || null;
+}
+
+function requireAdmin(req, res) {
+    if (!req.user || req.user.role !== 'admin') {
+        res.status(403).json({ error: 'Admin access required' });
+        return false;
+    }
+    return true;
+}
+
+function sendError(res, error, message) {
+    console.error(`❌ ${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+}
+
+// ADMIN ROUTES (require admin authentication)
+
+// Create a series (admin only)
+router.post('/', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { title, description, year, genre, poster_url, imdb_id } = req.body;
+
+        if (!title || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO series (title, description, year, genre, poster_url, imdb_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            title.trim().substring(0, 255),
+            description || null,
+            year ? parseInt(year) : null,
+            genre || null,
+            poster_url || null,
+            imdb_id || null
+        ]);
+
+        await clearSeriesCache();
+
+        console.log(`📺 Series added: "${result.rows[0].title}" (ID: ${result.rows[0].id})`);
+        res.status(201).json({ message: 'Series added successfully', series: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to add series');
+    }
+});
+
+// Update a series (admin only)
+router.put('/:id', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { id } = req.params;
+        const { title, description, year, genre, poster_url, imdb_id } = req.body;
+
+        if (isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid series ID format' });
+        }
+        if (title !== undefined && !String(title).trim()) {
+            return res.status(400).json({ error: 'Title cannot be empty' });
+        }
+
+        const update = buildUpdate({
+            title: optionalField(title, t => String(t).trim().substring(0, 255)),
+            description: optionalField(description),
+            year: optionalField(year, parseInt),
+            genre: optionalField(genre),
+            poster_url: optionalField(poster_url),
+            imdb_id: optionalField(imdb_id)
+        }, id);
+
+        const result = await pool.query(
+            `UPDATE series SET ${update.set} WHERE id = ${update.idParam} RETURNING *`,
+            update.values
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        await clearSeriesCache();
+
+        console.log(`✅ Series updated: "${result.rows[0].title}" (ID: ${id})`);
+        res.json({ message: 'Series updated successfully', series: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to update series');
+    }
+});
+
+// Delete a series with its seasons, episodes and episode watch progress (admin only)
+router.delete('/:id', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { id } = req.params;
+
+        if (isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid series ID format' });
+        }
+
+        const result = await pool.query('DELETE FROM series WHERE id = $1 RETURNING id, title', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        await clearSeriesCache();
+
+        console.log(`🗑️ Series deleted: "${result.rows[0].title}" (ID: ${id})`);
+        res.json({ message: 'Series deleted successfully', deleted_series: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete series');
+    }
+});
+
+// Add a season (admin only)
+router.post('/:id/seasons', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { id } = req.params;
+        const { season_number, title } = req.body;
+
+        if (isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid series ID format' });
+        }
+        if (!isNonNegativeInteger(season_number)) {
+            return res.status(400).json({ error: 'season_number must be a non-negative integer' });
+        }
+
+        const seriesResult = await pool.query('SELECT id FROM series WHERE id = $1', [id]);
+        if (seriesResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO seasons (series_id, season_number, title)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (series_id, season_number) DO NOTHING
+            RETURNING *
+        `, [id, parseInt(season_number), title || null]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: `Season ${season_number} already exists` });
+        }
+
+        await clearSeriesCache();
+        res.status(201).json({ message: 'Season added successfully', season: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to add season');
+    }
+});
+
+// Delete a season and its episodes (admin only)
+router.delete('/seasons/:seasonId', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { seasonId } = req.params;
+
+        if (isNaN(parseInt(seasonId))) {
+            return res.status(400).json({ error: 'Invalid season ID format' });
+        }
+
+        const result = await pool.query('DELETE FROM seasons WHERE id = $1 RETURNING *', [seasonId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        await clearSeriesCache();
+        res.json({ message: 'Season deleted successfully', deleted_season: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete season');
+    }
+});
+
+// Add an episode pointing at one file of a torrent (admin only)
+router.post('/seasons/:seasonId/episodes', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { seasonId } = req.params;
+        const { episode_number, title, description, magnet, file_index } = req.body;
+
+        if (isNaN(parseInt(seasonId))) {
+            return res.status(400).json({ error: 'Invalid season ID format' });
+        }
+        if (!isNonNegativeInteger(episode_number)) {
+            return res.status(400).json({ error: 'episode_number must be a non-negative integer' });
+        }
+        if (!validateMagnetLink(magnet)) {
+            return res.status(400).json({ error: 'Invalid magnet link format' });
+        }
+        if (!isNonNegativeInteger(file_index)) {
+            return res.status(400).json({ error: 'file_index must be a non-negative integer' });
+        }
+
+        const seasonResult = await pool.query('SELECT id FROM seasons WHERE id = $1', [seasonId]);
+        if (seasonResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO episodes (season_id, episode_number, title, description, magnet, info_hash, file_index)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (season_id, episode_number) DO NOTHING
+            RETURNING *
+        `, [
+            seasonId,
+            parseInt(episode_number),
+            title ? title.substring(0, 255) : null,
+            description || null,
+            magnet,
+            infoHashFromMagnet(magnet),
+            parseInt(file_index)
+        ]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: `Episode ${episode_number} already exists in this season` });
+        }
+
+        await clearSeriesCache();
+        res.status(201).json({ message: 'Episode added successfully', episode: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to add episode');
+    }
+});
+
+// Update an episode (admin only)
+router.put('/episodes/:episodeId', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { episodeId } = req.params;
+        const { episode_number, title, description, magnet, file_index } = req.body;
+
+        if (isNaN(parseInt(episodeId))) {
+            return res.status(400).json({ error: 'Invalid episode ID format' });
+        }
+        if (episode_number !== undefined && !isNonNegativeInteger(episode_number)) {
+            return res.status(400).json({ error: 'episode_number must be a non-negative integer' });
+        }
+        if (magnet !== undefined && !validateMagnetLink(magnet)) {
+            return res.status(400).json({ error: 'Invalid magnet link format' });
+        }
+        if (file_index !== undefined && !isNonNegativeInteger(file_index)) {
+            return res.status(400).json({ error: 'file_index must be a non-negative integer' });
+        }
+
+        // episode_number, magnet and file_index were validated above, so they're never cleared
+        const update = buildUpdate({
+            episode_number: optionalField(episode_number, parseInt),
+            title: optionalField(title, t => String(t).substring(0, 255)),
+            description: optionalField(description),
+            magnet: optionalField(magnet),
+            info_hash: optionalField(magnet, infoHashFromMagnet),
+            file_index: optionalField(file_index, parseInt)
+        }, episodeId);
+
+        const result = await pool.query(
+            `UPDATE episodes SET ${update.set} WHERE id = ${update.idParam} RETURNING *`,
+            update.values
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        await clearSeriesCache();
+        res.json({ message: 'Episode updated successfully', episode: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Another episode in this season already has that number' });
+        }
+        sendError(res, error, 'Failed to update episode');
+    }
+});
+
+// Delete an episode (admin only)
+router.delete('/episodes/:episodeId', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { episodeId } = req.params;
+
+        if (isNaN(parseInt(episodeId))) {
+            return res.status(400).json({ error: 'Invalid episode ID format' });
+        }
+
+        const result = await pool.query('DELETE FROM episodes WHERE id = $1 RETURNING *', [episodeId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        await clearSeriesCache();
+        res.json({ message: 'Episode deleted successfully', deleted_episode: result.rows[0] });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete episode');
+    }
+});
+
+// Add every SxxEyy video file of a season pack torrent as episodes, creating seasons as needed.
+// Episodes that already exist are repointed at the new torrent. (admin only)
+router.post('/:id/import', writeLimiter, auth, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        const { id } = req.params;
+        const { magnet } = req.body;
+
+        if (isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid series ID format' });
+        }
+        if (!validateMagnetLink(magnet)) {
+            return res.status(400).json({ error: 'Invalid magnet link format' });
+        }
+
+        const seriesResult = await pool.query('SELECT id, title FROM series WHERE id = $1', [id]);
+        if (seriesResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const torrentInfo = await fetchTorrentInfo(magnet);
+        if (!torrentInfo) {
+            return res.status(504).json({ error: 'Could not fetch torrent metadata, try again later' });
+        }
+
+        const infoHash = torrentInfo.infoHash || infoHashFromMagnet(magnet);
+        const imported = [];
+        const skipped = [];
+
+        for (const file of torrentInfo.files || []) {
+            const number = parseEpisodeNumber(file.name);
+            if (!number) {
+                skipped.push(file.name);
+                continue;
+            }
+
+            const seasonResult = await pool.query(`
+                INSERT INTO seasons (series_id, season_number)
+                VALUES ($1, $2)
+                ON CONFLICT (series_id, season_number) DO UPDATE SET season_number = EXCLUDED.season_number
+                RETURNING id
+            `, [id, number.season]);
+
+            const episodeResult = await pool.query(`
+                INSERT INTO episodes (season_id, episode_number, magnet, info_hash, file_index)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (season_id, episode_number) DO UPDATE SET
+                    magnet = EXCLUDED.magnet,
+                    info_hash = EXCLUDED.info_hash,
+                    file_index = EXCLUDED.file_index,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [seasonResult.rows[0].id, number.episode, magnet, infoHash, file.index]);
+
+            imported.push({ ...episodeResult.rows[0], season_number: number.season, file_name: file.name });
+        }
+
+        await clearSeriesCache();
+
+        console.log(`📺 Imported ${imported.length} episodes into "${seriesResult.rows[0].title}" (${skipped.length} files skipped)`);
+        res.json({ message: `Imported ${imported.length} episodes`, imported, skipped });
+    } catch (error) {
+        sendError(res, error, 'Failed to import episodes');
+    }
+});
+
+// PUBLIC READ ROUTES (require user authentication)
+
+// List series with season and episode counts
+router.get('/', readLimiter, userAuth, async (req, res) => {
+    try {
+        const cacheKey = 'series:list';
+        const cached = await redis.get(cacheKey);
+        if (cached) {
+            return res.json(JSON.parse(cached));
+        }
+
+        const result = await pool.query(`
+            SELECT sr.*,
+                COUNT(DISTINCT s.id) AS season_count,
+                COUNT(e.id) AS episode_count
+            FROM series sr
+            LEFT JOIN seasons s ON s.series_id = sr.id
+            LEFT JOIN episodes e ON e.season_id = s.id
+            GROUP BY sr.id
+            ORDER BY sr.title
+        `);
+
+        const response = {
+            series: result.rows.map(row => ({
+                ...row,
+                season_count: parseInt(row.season_count),
+                episode_count: parseInt(row.episode_count)
+            }))
+        };
+
+        await redis.setEx(cacheKey, 300, JSON.stringify(response)); // Cache for 5 minutes
+        res.json(response);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch series');
+    }
+});
+
+// One episode with its place in the series, the user's progress and the episode that follows it
+router.get('/episodes/:episodeId', readLimiter, userAuth, async (req, res) => {
+    try {
+        const { episodeId } = req.params;
+
+        if (isNaN(parseInt(episodeId))) {
+            return res.status(400).json({ error: 'Invalid episode ID format' });
+        }
+
+        const result = await pool.query(`${EPISODE_SELECT} WHERE e.id = $1`, [episodeId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const episode = result.rows[0];
+        const [next, progressResult] = await Promise.all([
+            findNextEpisode(episode),
+            pool.query('SELECT * FROM user_watch_time WHERE user_id = $1 AND episode_id = $2', [req.user.id, episodeId])
+        ]);
+
+        res.json({
+            ...episode,
+            next_episode_id: next ? next.id : null,
+            watch_progress: progressResult.rows[0] ? formatProgress(progressResult.rows[0]) : null
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch episode');
+    }
+});
+
+// The episode to autoplay after this one; { episode: null } at the end of the series
+router.get('/episodes/:episodeId/next', readLimiter, userAuth, async (req, res) => {
+    try {
+        const { episodeId } = req.params;
+
+        if (isNaN(parseInt(episodeId))) {
+            return res.status(400).json({ error: 'Invalid episode ID format' });
+        }
+
+        const result = await pool.query(`${EPISODE_SELECT} WHERE e.id = $1`, [episodeId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        res.json({ episode: await findNextEpisode(result.rows[0]) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch next episode');
+    }
+});
+
+// A series with its seasons and episodes, each episode carrying the user's watch progress
+router.get('/:id', readLimiter, userAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid series ID format' });
+        }
+
+        const seriesResult = await pool.query('SELECT * FROM series WHERE id = $1', [id]);
+        if (seriesResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const [seasonsResult, episodesResult] = await Promise.all([
+            pool.query('SELECT * FROM seasons WHERE series_id = $1 ORDER BY season_number', [id]),
+            pool.query(`
+                SELECT e.*, wt.watch_time_seconds, wt.total_duration_seconds, wt.is_completed, wt.last_watched_at
+                FROM episodes e
+                JOIN seasons s ON e.season_id = s.id
+                LEFT JOIN user_watch_time wt ON wt.episode_id = e.id AND wt.user_id = $2
+                WHERE s.series_id = $1
+                ORDER BY s.season_number, e.episode_number
+            `, [id, req.user.id])
+        ]);
+
+        const seasons = seasonsResult.rows.map(season => ({
+            ...season,
+            episodes: episodesResult.rows
+                .filter(row => row.season_id === season.id)
+                .map(({ watch_time_seconds, total_duration_seconds, is_completed, last_watched_at, ...episode }) => ({
+                    ...episode,
+                    watch_progress: formatProgress({ watch_time_seconds, total_duration_seconds, is_completed, last_watched_at })
+                }))
+        }));
+
+        res.json({ ...seriesResult.rows[0], seasons });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch series');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const { pool } = require('../db/db');
+const userAuth = require('../middleware/userAuth');
+const rateLimit = require('express-rate-limit');
+const { loadPlugins, createProviders } = require('../subtitles/providers');
+const { subtitleFormat, toWebVtt } = require('../subtitles/webvtt');
+
+const router = express.Router();
+
+const subtitleLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { error: 'Too many subtitle requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+loadPlugins();
+const providers = createProviders();
+
+function findProvider(name) {
+    return providers.find(provider => provider.name === name);
+}
+
+router.get('/providers', subtitleLimiter, userAuth, (req, res) => {
+    res.json({ providers: providers.map(provider => provider.name) });
+});
+
+// Search every provider. movieId fills in IMDb ID, title and year from the movie; explicit values win.
+router.get('/search', subtitleLimiter, userAuth, async (req, res) => {
+    try {
+        const query = {
+            imdbId: req.query.imdbId,
+            hash: req.query.hash,
+            title: req.query.title,
+            year: req.query.year ? parseInt(req.query.year) : undefined,
+            language: req.query.language
+        };
+
+        if (req.query.movieId) {
+            if (isNaN(parseInt(req.query.movieId))) {
+                return res.status(400).json({ error: 'Invalid movie ID format' });
+            }
+
+            const movieResult = await pool.query('SELECT title, year, imdb_id FROM movies WHERE id = $1', [req.query.movieId]);
+            if (movieResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Movie not found' });
+            }
+
+            const movie = movieResult.rows[0];
+            query.imdbId = query.imdbId || movie.imdb_id || undefined;
+            query.title = query.title || movie.title;
+            query.year = query.year || movie.year || undefined;
+        }
+
+        if (!query.imdbId && !query.hash && !query.title) {
+            return res.status(400).json({ error: 'imdbId, hash, title or movieId is required' });
+        }
+
+        if (query.hash && !/^[a-f0-9]{16}$/i.test(query.hash)) {
+            return res.status(400).json({ error: 'hash must be a 16 character hex movie hash' });
+        }
+
+        // One provider being down shouldn't hide the others' results
+        const settled = await Promise.allSettled(providers.map(provider => provider.search(query)));
+        const results = [];
+        settled.forEach((outcome, index) => {
+            const provider = providers[index];
+            if (outcome.status === 'rejected') {
+                console.warn(`⚠️ Subtitle provider ${provider.name} search failed:`, outcome.reason.message);
+                return;
+            }
+
+            outcome.value.forEach(result => results.push({
+                ...result,
+                provider: provider.name,
+                url: `/api/subtitles/download/${encodeURIComponent(provider.name)}/${encodeURIComponent(result.id)}`
+            }));
+        });
+
+        res.json({ results });
+    } catch (error) {
+        console.error('❌ Error searching subtitles:', error);
+        res.status(500).json({
+            error: 'Failed to search subtitles',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// A search result converted to WebVTT
+router.get('/download/:provider/:id', subtitleLimiter, userAuth, async (req, res) => {
+    const provider = findProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown subtitle provider' });
+    }
+
+    try {
+        const { fileName, buffer } = await provider.download(req.params.id);
+        const format = subtitleFormat(fileName);
+        if (!format) {
+            return res.status(415).json({ error: 'Unsupported subtitle format' });
+        }
+
+        res.set({
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Cache-Control': 'private, max-age=86400'
+        });
+        res.send(toWebVtt(buffer, format));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        console.error('❌ Error downloading subtitle:', error);
+        res.status(500).json({
+            error: 'Failed to download subtitle',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { pool, redis } = require('../db/db');
 const userAuth = require('../middleware/userAuth');
 const rateLimit = require('express-rate-limit');
+const { mediaTarget } = require('./media-target');
 
 const router = express.Router();
 
@@ -14,58 +15,69 @@ const watchTimeLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// Save watch time for a movie
+function watchTimeCacheKey(userId, target) {
+    return target.column === 'episode_id'
+        ? `watch_time:${userId}:episode:${target.id}`
+        : `watch_time:${userId}:${target.id}`;
+}
+
+function formatWatchTime(watchTime) {
+    return {
+        id: watchTime.id,
+        movieId: watchTime.movie_id,
+        episodeId: watchTime.episode_id,
+        watchTimeSeconds: watchTime.watch_time_seconds,
+        totalDurationSeconds: watchTime.total_duration_seconds,
+        isCompleted: watchTime.is_completed,
+        lastWatchedAt: watchTime.last_watched_at,
+        progress: watchTime.total_duration_seconds ?
+            Math.round((watchTime.watch_time_seconds / watchTime.total_duration_seconds) * 100) : 0
+    };
+}
+
+// Save watch time for a movie or a series episode
 router.post('/save', watchTimeLimiter, userAuth, async (req, res) => {
     try {
-        const { movieId, watchTimeSeconds, totalDurationSeconds, isCompleted = false } = req.body;
+        const { movieId, episodeId, watchTimeSeconds, totalDurationSeconds, isCompleted = false } = req.body;
         const userId = req.user.id;
 
-        if (!movieId || watchTimeSeconds === undefined) {
-            return res.status(400).json({ error: 'movieId and watchTimeSeconds are required' });
+        if ((!movieId && !episodeId) || watchTimeSeconds === undefined) {
+            return res.status(400).json({ error: 'movieId or episodeId, and watchTimeSeconds are required' });
         }
 
         if (watchTimeSeconds < 0) {
             return res.status(400).json({ error: 'watchTimeSeconds cannot be negative' });
         }
 
-        // Check if movie exists
-        const movieResult = await pool.query('SELECT id FROM movies WHERE id = $1', [movieId]);
-        if (movieResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Movie not found' });
+        const target = mediaTarget(movieId, episodeId);
+
+        // Check if the movie or episode exists
+        const targetResult = await pool.query(`SELECT id FROM ${target.table} WHERE id = $1`, [target.id]);
+        if (targetResult.rows.length === 0) {
+            return res.status(404).json({ error: `${target.label} not found` });
         }
 
         // Upsert watch time record
         const result = await pool.query(`
-            INSERT INTO user_watch_time (user_id, movie_id, watch_time_seconds, total_duration_seconds, is_completed, last_watched_at, updated_at)
+            INSERT INTO user_watch_time (user_id, ${target.column}, watch_time_seconds, total_duration_seconds, is_completed, last_watched_at, updated_at)
             VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-            ON CONFLICT (user_id, movie_id) DO UPDATE SET
+            ON CONFLICT (user_id, ${target.column}) DO UPDATE SET
                 watch_time_seconds = EXCLUDED.watch_time_seconds,
                 total_duration_seconds = EXCLUDED.total_duration_seconds,
                 is_completed = EXCLUDED.is_completed,
                 last_watched_at = NOW(),
                 updated_at = NOW()
             RETURNING *
-        `, [userId, movieId, watchTimeSeconds, totalDurationSeconds || null, isCompleted]);
-
-        const watchTime = result.rows[0];
+        `, [userId, target.id, watchTimeSeconds, totalDurationSeconds || null, isCompleted]);
 
         // Clear cache for this user's watch time
-        const cacheKey = `watch_time:${userId}:${movieId}`;
-        await redis.del(cacheKey);
+        await redis.del(watchTimeCacheKey(userId, target));
 
-        console.log(`✅ Watch time saved for user ${userId}, movie ${movieId}: ${watchTimeSeconds}s`);
+        console.log(`✅ Watch time saved for user ${userId}, ${target.label.toLowerCase()} ${target.id}: ${watchTimeSeconds}s`);
 
         res.json({
             success: true,
-            watchTime: {
-                id: watchTime.id,
-                movieId: watchTime.movie_id,
-                watchTimeSeconds: watchTime.watch_time_seconds,
-                totalDurationSeconds: watchTime.total_duration_seconds,
-                isCompleted: watchTime.is_completed,
-                lastWatchedAt: watchTime.last_watched_at,
-                progress: totalDurationSeconds ? Math.round((watchTimeSeconds / totalDurationSeconds) * 100) : 0
-            }
+            watchTime: formatWatchTime(result.rows[0])
         });
 
     } catch (error) {
@@ -74,14 +86,13 @@ router.post('/save', watchTimeLimiter, userAuth, async (req, res) => {
     }
 });
 
-// Get watch time for a specific movie
-router.get('/movie/:movieId', watchTimeLimiter, userAuth, async (req, res) => {
+// Get watch time for a specific movie or episode
+async function getWatchTime(req, res, target) {
     try {
-        const { movieId } = req.params;
         const userId = req.user.id;
 
         // Check cache first
-        const cacheKey = `watch_time:${userId}:${movieId}`;
+        const cacheKey = watchTimeCacheKey(userId, target);
         const cached = await redis.get(cacheKey);
         if (cached) {
             return res.json(JSON.parse(cached));
@@ -89,8 +100,8 @@ router.get('/movie/:movieId', watchTimeLimiter, userAuth, async (req, res) => {
 
         const result = await pool.query(`
             SELECT * FROM user_watch_time 
-            WHERE user_id = $1 AND movie_id = $2
-        `, [userId, movieId]);
+            WHERE user_id = $1 AND ${target.column} = $2
+        `, [userId, target.id]);
 
         if (result.rows.length === 0) {
             const response = { watchTime: null };
@@ -98,19 +109,7 @@ router.get('/movie/:movieId', watchTimeLimiter, userAuth, async (req, res) => {
             return res.json(response);
         }
 
-        const watchTime = result.rows[0];
-        const response = {
-            watchTime: {
-                id: watchTime.id,
-                movieId: watchTime.movie_id,
-                watchTimeSeconds: watchTime.watch_time_seconds,
-                totalDurationSeconds: watchTime.total_duration_seconds,
-                isCompleted: watchTime.is_completed,
-                lastWatchedAt: watchTime.last_watched_at,
-                progress: watchTime.total_duration_seconds ? 
-                    Math.round((watchTime.watch_time_seconds / watchTime.total_duration_seconds) * 100) : 0
-            }
-        };
+        const response = { watchTime: formatWatchTime(result.rows[0]) };
 
         await redis.setEx(cacheKey, 300, JSON.stringify(response)); // Cache for 5 minutes
         res.json(response);
@@ -119,6 +118,14 @@ router.get('/movie/:movieId', watchTimeLimiter, userAuth, async (req, res) => {
         console.error('Error getting watch time:', error);
         res.status(500).json({ error: 'Failed to get watch time' });
     }
+}
+
+router.get('/movie/:movieId', watchTimeLimiter, userAuth, (req, res) => {
+    getWatchTime(req, res, mediaTarget(req.params.movieId, null));
+});
+
+router.get('/episode/:episodeId', watchTimeLimiter, userAuth, (req, res) => {
+    getWatchTime(req, res, mediaTarget(null, req.params.episodeId));
 });
 
 // Get all watch time records for a user
@@ -134,10 +141,18 @@ router.get('/user', watchTimeLimiter, userAuth, async (req, res) => {
             return res.json(JSON.parse(cached));
         }
 
+        // Episodes are listed under their series' title and poster
         const result = await pool.query(`
-            SELECT wt.*, m.title, m.poster_url, m.year
+            SELECT wt.*,
+                COALESCE(m.title, sr.title) AS title,
+                COALESCE(m.poster_url, sr.poster_url) AS poster_url,
+                COALESCE(m.year, sr.year) AS year,
+                sr.id AS series_id, s.season_number, e.episode_number, e.title AS episode_title
             FROM user_watch_time wt
-            JOIN movies m ON wt.movie_id = m.id
+            LEFT JOIN movies m ON wt.movie_id = m.id
+            LEFT JOIN episodes e ON wt.episode_id = e.id
+            LEFT JOIN seasons s ON e.season_id = s.id
+            LEFT JOIN series sr ON s.series_id = sr.id
             WHERE wt.user_id = $1
             ORDER BY wt.last_watched_at DESC
             LIMIT $2 OFFSET $3
@@ -146,6 +161,11 @@ router.get('/user', watchTimeLimiter, userAuth, async (req, res) => {
         const watchTimes = result.rows.map(row => ({
             id: row.id,
             movieId: row.movie_id,
+            episodeId: row.episode_id,
+            seriesId: row.series_id,
+            seasonNumber: row.season_number,
+            episodeNumber: row.episode_number,
+            episodeTitle: row.episode_title,
             movieTitle: row.title,
             posterUrl: row.poster_url,
             year: row.year,
@@ -180,12 +200,13 @@ router.get('/stats', watchTimeLimiter, userAuth, async (req, res) => {
             return res.json(JSON.parse(cached));
         }
 
+        // Episode rows only count towards total watch time and last activity, not towards movies
         const result = await pool.query(`
             SELECT 
-                COUNT(*) as total_movies_watched,
-                COUNT(CASE WHEN is_completed = true THEN 1 END) as completed_movies,
+                COUNT(*) FILTER (WHERE episode_id IS NULL) as total_movies_watched,
+                COUNT(*) FILTER (WHERE episode_id IS NULL AND is_completed = true) as completed_movies,
                 SUM(watch_time_seconds) as total_watch_time_seconds,
-                AVG(watch_time_seconds) as avg_watch_time_seconds,
+                AVG(watch_time_seconds) FILTER (WHERE episode_id IS NULL) as avg_watch_time_seconds,
                 MAX(last_watched_at) as last_activity
             FROM user_watch_time 
             WHERE user_id = $1
@@ -240,10 +261,9 @@ router.delete('/movie/:movieId', watchTimeLimiter, userAuth, async (req, res) =>
     }
 });
 
-// Mark movie as completed
-router.post('/complete/:movieId', watchTimeLimiter, userAuth, async (req, res) => {
+// Mark a movie or episode as completed
+async function markCompleted(req, res, target) {
     try {
-        const { movieId } = req.params;
         const { totalDurationSeconds } = req.body;
         const userId = req.user.id;
 
@@ -252,42 +272,39 @@ router.post('/complete/:movieId', watchTimeLimiter, userAuth, async (req, res) =
         }
 
         const result = await pool.query(`
-            INSERT INTO user_watch_time (user_id, movie_id, watch_time_seconds, total_duration_seconds, is_completed, last_watched_at, updated_at)
+            INSERT INTO user_watch_time (user_id, ${target.column}, watch_time_seconds, total_duration_seconds, is_completed, last_watched_at, updated_at)
             VALUES ($1, $2, $3, $4, true, NOW(), NOW())
-            ON CONFLICT (user_id, movie_id) DO UPDATE SET
+            ON CONFLICT (user_id, ${target.column}) DO UPDATE SET
                 watch_time_seconds = EXCLUDED.watch_time_seconds,
                 total_duration_seconds = EXCLUDED.total_duration_seconds,
                 is_completed = true,
                 last_watched_at = NOW(),
                 updated_at = NOW()
             RETURNING *
-        `, [userId, movieId, totalDurationSeconds, totalDurationSeconds]);
-
-        const watchTime = result.rows[0];
+        `, [userId, target.id, totalDurationSeconds, totalDurationSeconds]);
 
         // Clear cache
-        const cacheKey = `watch_time:${userId}:${movieId}`;
-        await redis.del(cacheKey);
+        await redis.del(watchTimeCacheKey(userId, target));
 
-        console.log(`✅ Movie marked as completed for user ${userId}, movie ${movieId}`);
+        console.log(`✅ ${target.label} marked as completed for user ${userId}, ${target.label.toLowerCase()} ${target.id}`);
 
         res.json({
             success: true,
-            watchTime: {
-                id: watchTime.id,
-                movieId: watchTime.movie_id,
-                watchTimeSeconds: watchTime.watch_time_seconds,
-                totalDurationSeconds: watchTime.total_duration_seconds,
-                isCompleted: watchTime.is_completed,
-                lastWatchedAt: watchTime.last_watched_at,
-                progress: 100
-            }
+            watchTime: { ...formatWatchTime(result.rows[0]), progress: 100 }
         });
 
     } catch (error) {
-        console.error('Error marking movie as completed:', error);
-        res.status(500).json({ error: 'Failed to mark movie as completed' });
+        console.error('Error marking as completed:', error);
+        res.status(500).json({ error: `Failed to mark ${target.label.toLowerCase()} as completed` });
     }
+}
+
+router.post('/complete/episode/:episodeId', watchTimeLimiter, userAuth, (req, res) => {
+    markCompleted(req, res, mediaTarget(null, req.params.episodeId));
+});
+
+router.post('/complete/:movieId', watchTimeLimiter, userAuth, (req, res) => {
+    markCompleted(req, res, mediaTarget(req.params.movieId, null));
 });
 
 module.exports = router;
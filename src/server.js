@@ -4,13 +4,17 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const db = require('./db/db');
 const authRoutes = require('./routes/auth');
 const movieRoutes = require('./routes/movies');
 const streamRoutes = require('./routes/stream');
 const userRoutes = require('./routes/users');
 const watchTimeRoutes = require('./routes/watchTime');
+const seriesRoutes = require('./routes/series');
+const preferenceRoutes = require('./routes/preferences');
+const subtitleRoutes = require('./routes/subtitles');
+const markerRoutes = require('./routes/markers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -47,6 +51,7 @@ app.use(helmet({
       connectSrc: ["'self'", "ws:", "wss:", "blob:"],
       imgSrc: ["'self'", "data:", "https:", "blob:"],
       mediaSrc: ["'self'", "blob:", "data:"],
+      workerSrc: ["'self'", "blob:"],
       objectSrc: ["'none'"]
     },
   },
@@ -63,19 +68,19 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Rate limiting
-const limiter = rateLimit({
+// Media traffic has its own, much higher limit: an HLS viewer alone fetches a 6s segment plus
+// its playlist and sends watch progress, a few hundred requests per 15 minutes
+const torrentLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: NODE_ENV === 'production' ? 100 : 1000,
-  message: { error: 'Too many requests, please try again later' },
+  max: NODE_ENV === 'production' ? 2000 : 10000,
+  message: { error: 'Too many streaming requests, please try again later' },
   standardHeaders: true,
   legacyHeaders: false,
 });
-app.use(limiter);
 
 // Proxy torrent requests to the torrent streaming service
-app.use('/api/torrent', createProxyMiddleware({
-    target: 'http://localhost:7000',
+app.use('/api/torrent', torrentLimiter, createProxyMiddleware({
+    target: 'http://127.0.0.1:7000',
     changeOrigin: true,
     pathRewrite: {
         '^/api/torrent': '/api/torrent'
@@ -93,15 +98,31 @@ app.use('/api/torrent', createProxyMiddleware({
         if (req.headers.authorization) {
             proxyReq.setHeader('Authorization', req.headers.authorization);
         }
+        // express.json() above has already read JSON bodies (progress, source resolution); send them on
+        fixRequestBody(proxyReq, req);
     }
 }));
 
+// Rate limiting for everything else; the torrent proxy above is limited on its own
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: NODE_ENV === 'production' ? 100 : 1000,
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use(limiter);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/movies', movieRoutes);
 app.use('/api/stream', streamRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/watch-time', watchTimeRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/preferences', preferenceRoutes);
+app.use('/api/subtitles', subtitleRoutes);
+app.use('/api/markers', markerRoutes);
 
 
 // Health check endpoint
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { subtitleFormat, describeSubtitleFile } = require('./webvtt');
+
+const DEFAULT_LIBRARY_DIR = '/tmp/subtitles';
+const MAX_DEPTH = 4;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// Most specific match first
+const MATCH_ORDER = ['imdb', 'hash', 'title'];
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Serves subtitle files from a local directory, so search works without network access.
+// Anything in the file's path relative to the library counts towards a match:
+//   tt0133093/The.Matrix.eng.srt        IMDb ID
+//   8e245d9679d31e12.en.srt             OpenSubtitles-style movie hash
+//   The Matrix (1999)/English.srt       title and year
+class FilesystemProvider {
+    constructor(options = {}) {
+        this.name = 'filesystem';
+        this.libraryDir = path.resolve(options.libraryDir || process.env.SUBTITLE_LIBRARY_DIR || DEFAULT_LIBRARY_DIR);
+    }
+
+    async search({ imdbId, hash, title, year, language } = {}) {
+        const imdbToken = imdbId ? `tt${String(imdbId).replace(/^tt/i, '')}`.toLowerCase() : null;
+        const hashToken = hash ? String(hash).toLowerCase() : null;
+        const titleTokens = tokenize(title);
+        const results = [];
+
+        for (const relativePath of await this.listFiles()) {
+            const tokens = tokenize(relativePath);
+            const matchedBy = this.matchFile(tokens, { imdbToken, hashToken, titleTokens, year });
+            if (!matchedBy) continue;
+
+            const fileName = path.basename(relativePath);
+            const described = describeSubtitleFile(relativePath);
+            if (language && described.language && !described.language.toLowerCase().startsWith(String(language).toLowerCase())) {
+                continue;
+            }
+
+            results.push({
+                id: Buffer.from(relativePath).toString('base64url'),
+                fileName,
+                format: subtitleFormat(fileName),
+                matchedBy,
+                ...described
+            });
+        }
+
+        return results.sort((a, b) =>
+            MATCH_ORDER.indexOf(a.matchedBy) - MATCH_ORDER.indexOf(b.matchedBy) ||
+            a.fileName.localeCompare(b.fileName, undefined, { numeric: true })
+        );
+    }
+
+    matchFile(tokens, { imdbToken, hashToken, titleTokens, year }) {
+        if (imdbToken && tokens.includes(imdbToken)) return 'imdb';
+        if (hashToken && tokens.includes(hashToken)) return 'hash';
+
+        if (titleTokens.length > 0 && ` ${tokens.join(' ')} `.includes(` ${titleTokens.join(' ')} `)) {
+            // A path naming a different year is a remake or a namesake
+            const years = tokens.filter(token => /^(19|20)\d{2}$/.test(token));
+            if (!year || years.length === 0 || years.includes(String(year))) return 'title';
+        }
+
+        return null;
+    }
+
+    async download(id) {
+        const relativePath = Buffer.from(String(id), 'base64url').toString('utf8');
+        const fullPath = path.resolve(this.libraryDir, relativePath);
+
+        // ids come from clients; never read outside the library
+        if (!fullPath.startsWith(this.libraryDir + path.sep) || !subtitleFormat(fullPath)) {
+            const error = new Error('Subtitle not found');
+            error.status = 404;
+            throw error;
+        }
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(fullPath);
+        } catch (err) {
+            const error = new Error('Subtitle not found');
+            error.status = 404;
+            throw error;
+        }
+
+        if (stat.size > MAX_FILE_BYTES) {
+            const error = new Error('Subtitle file too large');
+            error.status = 413;
+            throw error;
+        }
+
+        return { fileName: path.basename(fullPath), buffer: await fs.promises.readFile(fullPath) };
+    }
+
+    // Subtitle files under the library, as paths relative to it
+    async listFiles(dir = this.libraryDir, depth = 0) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Subtitle library unreadable (${dir}):`, error.message);
+            }
+            return [];
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && depth < MAX_DEPTH) {
+                files.push(...await this.listFiles(fullPath, depth + 1));
+            } else if (entry.isFile() && subtitleFormat(entry.name)) {
+                files.push(path.relative(this.libraryDir, fullPath));
+            }
+        }
+        return files;
+    }
+}
+
+module.exports = FilesystemProvider;
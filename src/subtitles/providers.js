@@ -0,0 +1,58 @@
+const path = require('path');
+const FilesystemProvider = require('./filesystem-provider');
+
+// Subtitle sources behind /api/subtitles. A provider is a class with:
+//   constructor(options)
+//   name                                   - registry name, also used in download URLs
+//   search({ imdbId, hash, title, year, language }) -> [{ id, fileName, language, label, format, matchedBy }]
+//   download(id)                           -> { fileName, buffer }
+// Online services are added as plugins: modules listed in SUBTITLE_PROVIDER_PLUGINS export
+// function (registerProvider) { registerProvider('name', ProviderClass); }
+const providers = new Map([
+    ['filesystem', FilesystemProvider]
+]);
+
+function registerProvider(name, Provider) {
+    providers.set(name, Provider);
+}
+
+// Relative plugin paths are resolved against the working directory, like node's own CLI
+function loadPlugins(pluginPaths = (process.env.SUBTITLE_PROVIDER_PLUGINS || '').split(',')) {
+    for (const pluginPath of pluginPaths.map(p => p.trim()).filter(Boolean)) {
+        try {
+            const plugin = require(path.resolve(pluginPath));
+            if (typeof plugin !== 'function') {
+                throw new Error('plugin must export a function taking registerProvider');
+            }
+            plugin(registerProvider);
+            console.log(`🧩 Subtitle provider plugin loaded: ${pluginPath}`);
+        } catch (error) {
+            console.error(`❌ Failed to load subtitle provider plugin ${pluginPath}:`, error.message);
+        }
+    }
+}
+
+// SUBTITLE_PROVIDERS picks which registered providers are used, in search order.
+// Like a bad plugin, an unknown or broken provider is skipped so it can't take the server down.
+function createProviders(names = (process.env.SUBTITLE_PROVIDERS || 'filesystem').split(','), options = {}) {
+    const created = [];
+    for (const name of names.map(n => n.trim()).filter(Boolean)) {
+        const Provider = providers.get(name);
+        if (!Provider) {
+            console.warn(`⚠️ Unknown subtitle provider, skipping: ${name}`);
+            continue;
+        }
+        try {
+            created.push(new Provider(options[name] || {}));
+        } catch (error) {
+            console.error(`❌ Failed to create subtitle provider ${name}:`, error.message);
+        }
+    }
+    return created;
+}
+
+module.exports = {
+    registerProvider,
+    loadPlugins,
+    createProviders
+};
@@ -0,0 +1,178 @@
+const path = require('path');
+
+const SUBTITLE_FORMATS = {
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.ass': 'ass',
+    '.ssa': 'ass'
+};
+
+// Tokens seen in release file names ("Movie.2019.eng.srt", "Subs/2_English.srt") -> language
+const LANGUAGES = [
+    { code: 'en', label: 'English', names: ['en', 'eng', 'english'] },
+    { code: 'es', label: 'Spanish', names: ['es', 'spa', 'spanish', 'español', 'espanol'] },
+    { code: 'fr', label: 'French', names: ['fr', 'fre', 'fra', 'french', 'français', 'francais'] },
+    { code: 'de', label: 'German', names: ['de', 'ger', 'deu', 'german', 'deutsch'] },
+    { code: 'it', label: 'Italian', names: ['it', 'ita', 'italian', 'italiano'] },
+    { code: 'pt-BR', label: 'Portuguese (Brazil)', names: ['pt-br', 'ptbr', 'pob', 'brazilian'] },
+    { code: 'pt', label: 'Portuguese', names: ['pt', 'por', 'portuguese', 'português', 'portugues'] },
+    { code: 'nl', label: 'Dutch', names: ['nl', 'dut', 'nld', 'dutch', 'nederlands'] },
+    { code: 'ru', label: 'Russian', names: ['ru', 'rus', 'russian'] },
+    { code: 'pl', label: 'Polish', names: ['pl', 'pol', 'polish'] },
+    { code: 'sv', label: 'Swedish', names: ['sv', 'swe', 'swedish'] },
+    { code: 'tr', label: 'Turkish', names: ['tr', 'tur', 'turkish'] },
+    { code: 'ar', label: 'Arabic', names: ['ar', 'ara', 'arabic'] },
+    { code: 'hi', label: 'Hindi', names: ['hi', 'hin', 'hindi'] },
+    { code: 'zh', label: 'Chinese', names: ['zh', 'chi', 'zho', 'chinese', 'chs', 'cht'] },
+    { code: 'ja', label: 'Japanese', names: ['ja', 'jpn', 'japanese'] },
+    { code: 'ko', label: 'Korean', names: ['ko', 'kor', 'korean'] }
+];
+
+function subtitleFormat(fileName) {
+    return SUBTITLE_FORMATS[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+// { language, label } from the file name; language is null when nothing matches
+function describeSubtitleFile(fileName) {
+    const tokens = path.basename(fileName, path.extname(fileName))
+        .toLowerCase()
+        .split(/[\s._\-\[\]()]+/)
+        .filter(Boolean);
+
+    // Language tags sit at the end of the name, so search from there
+    let match = null;
+    for (let i = tokens.length - 1; i >= 0 && !match; i--) {
+        const pair = i > 0 ? `${tokens[i - 1]}-${tokens[i]}` : null;
+        match = LANGUAGES.find(lang => (pair && lang.names.includes(pair)) || lang.names.includes(tokens[i]));
+    }
+
+    const flags = [];
+    if (tokens.includes('sdh') || tokens.includes('cc')) flags.push('SDH');
+    if (tokens.includes('forced')) flags.push('Forced');
+
+    const label = match ? match.label : 'Unknown';
+    return {
+        language: match ? match.code : null,
+        label: flags.length > 0 ? `${label} (${flags.join(', ')})` : label
+    };
+}
+
+// Language tag of an embedded stream ("eng", "pt-BR") -> { language, label }
+function describeLanguage(tag) {
+    const name = (tag || '').toLowerCase();
+    if (!name || name === 'und') {
+        return { language: null, label: 'Unknown' };
+    }
+
+    const match = LANGUAGES.find(lang => lang.names.includes(name));
+    return match ? { language: match.code, label: match.label } : { language: tag, label: tag.toUpperCase() };
+}
+
+// Subtitle files come in whatever encoding the uploader's editor used
+function decodeSubtitle(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.subarray(2).toString('utf16le');
+    }
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        buffer = buffer.subarray(3);
+    }
+
+    const text = buffer.toString('utf8');
+    // Invalid UTF-8 is almost always a Windows code page; latin1 gets most of those right
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+// "0:01:02.5", "00:01:02,500" -> "00:01:02.500"
+function formatTimestamp(hours, minutes, seconds, fraction) {
+    const millis = (fraction || '0').padEnd(3, '0').substring(0, 3);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${millis}`;
+}
+
+function srtToVtt(text) {
+    const body = text
+        .replace(/\r\n?/g, '\n')
+        .replace(
+            /(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/g,
+            (match, h1, m1, s1, f1, h2, m2, s2, f2) =>
+                `${formatTimestamp(h1, m1, s1, f1)} --> ${formatTimestamp(h2, m2, s2, f2)}`
+        )
+        // WebVTT has no <font> and no ASS-style position overrides
+        .replace(/<\/?font[^>]*>/gi, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .trim();
+
+    return `WEBVTT\n\n${body}\n`;
+}
+
+function assTimestamp(value) {
+    const match = /(\d+):(\d{2}):(\d{2})(?:\.(\d{1,3}))?/.exec(value.trim());
+    if (!match) return null;
+    // Centiseconds in ASS
+    return formatTimestamp(match[1], match[2], match[3], (match[4] || '0').padEnd(2, '0'));
+}
+
+// Keeps dialogue text only; styling and positioning don't survive the trip to WebVTT
+function assToVtt(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let section = null;
+    let format = null;
+    const cues = [];
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (/^\[.*\]$/.test(trimmed)) {
+            section = trimmed.toLowerCase();
+            continue;
+        }
+        if (section !== '[events]') continue;
+
+        if (/^format:/i.test(trimmed)) {
+            format = trimmed.substring(7).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!/^dialogue:/i.test(trimmed) || !format) continue;
+
+        // Text is the last field and may itself contain commas
+        const values = trimmed.substring(9).split(',');
+        const fields = values.slice(0, format.length - 1);
+        fields.push(values.slice(format.length - 1).join(','));
+
+        const get = (name) => (fields[format.indexOf(name)] || '').trim();
+        const start = assTimestamp(get('start'));
+        const end = assTimestamp(get('end'));
+        const cueText = get('text')
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ')
+            .trim();
+
+        if (start && end && cueText) {
+            cues.push({ start, end, text: cueText });
+        }
+    }
+
+    cues.sort((a, b) => a.start.localeCompare(b.start));
+    return `WEBVTT\n\n${cues.map(cue => `${cue.start} --> ${cue.end}\n${cue.text}`).join('\n\n')}\n`;
+}
+
+function toWebVtt(buffer, format) {
+    const text = decodeSubtitle(buffer);
+
+    switch (format) {
+        case 'vtt':
+            return text.replace(/\r\n?/g, '\n');
+        case 'srt':
+            return srtToVtt(text);
+        case 'ass':
+            return assToVtt(text);
+        default:
+            throw new Error(`Unsupported subtitle format: ${format}`);
+    }
+}
+
+module.exports = {
+    subtitleFormat,
+    describeSubtitleFile,
+    describeLanguage,
+    toWebVtt
+};
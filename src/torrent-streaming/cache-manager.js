@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = '/tmp/torrents';
+const DEFAULT_MAX_GB = 50;
+const SAVE_DELAY = 5000; // Batch index writes, touch() is called on every request
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Magnet links may carry the info hash as hex or base32; normalise to lowercase hex
+function infoHashFromMagnet(magnet) {
+    const match = /xt=urn:btih:([a-z0-9]+)/i.exec(magnet || '');
+    if (!match) return null;
+
+    const hash = match[1].toLowerCase();
+    if (/^[a-f0-9]{40}$/.test(hash)) return hash;
+
+    if (/^[a-z2-7]{32}$/.test(hash)) {
+        let bits = '';
+        for (const char of hash) {
+            bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+        }
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+        }
+        return hex;
+    }
+
+    return null;
+}
+
+// Tracks what torrent-stream has written under the cache directory, keeps the total under a quota
+// by evicting the least recently watched torrents, and persists its index so restarts don't lose it.
+// Pinned torrents are downloaded in full on request and never evicted.
+// Files whose pieces are all verified are recorded so they can be served straight from disk.
+// torrent-stream lays data out as <cacheDir>/torrent-stream/<infoHash>/ plus <infoHash>.torrent.
+class TorrentCacheManager {
+    constructor(options = {}) {
+        // Absolute, since completed files are handed to res.sendFile
+        this.cacheDir = path.resolve(options.cacheDir || process.env.TORRENT_CACHE_DIR || DEFAULT_CACHE_DIR);
+        const maxGb = parseFloat(options.maxGb || process.env.TORRENT_CACHE_MAX_GB) || DEFAULT_MAX_GB;
+        this.maxBytes = Math.round(maxGb * 1024 * 1024 * 1024);
+        this.dataDir = path.join(this.cacheDir, 'torrent-stream');
+        this.indexPath = path.join(this.cacheDir, 'cache-index.json');
+        this.entries = new Map(); // infoHash -> { infoHash, magnet, bytes, lastWatched, pinned, complete, files }
+        this.saveTimeout = null;
+    }
+
+    // Load the saved index and reconcile it with what is actually on disk
+    async init() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        let saved = [];
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Torrent cache index unreadable, rebuilding:', error.message);
+            }
+        }
+
+        const savedEntries = new Map(saved.map(entry => [entry.infoHash, entry]));
+        const onDisk = await this.scanDataDir();
+
+        this.entries.clear();
+        for (const [infoHash, stats] of onDisk) {
+            const previous = savedEntries.get(infoHash) || {};
+            this.entries.set(infoHash, {
+                infoHash,
+                magnet: previous.magnet || null,
+                bytes: stats.bytes,
+                lastWatched: previous.lastWatched || stats.mtime,
+                pinned: !!previous.pinned,
+                complete: !!previous.complete && stats.bytes > 0,
+                files: stats.bytes > 0 ? previous.files || {} : {}
+            });
+        }
+
+        // A pin whose download never wrote anything still has to be resumed
+        for (const entry of savedEntries.values()) {
+            if (entry.pinned && entry.magnet && !this.entries.has(entry.infoHash)) {
+                this.entries.set(entry.infoHash, { ...entry, bytes: 0, complete: false, files: {} });
+            }
+        }
+
+        await this.save();
+        console.log(`💾 Torrent cache indexed: ${this.entries.size} torrents, ${this.formatBytes(this.getTotalBytes())} of ${this.formatBytes(this.maxBytes)}`);
+    }
+
+    async scanDataDir() {
+        const found = new Map();
+        const names = await fs.promises.readdir(this.dataDir);
+
+        for (const name of names) {
+            const infoHash = name.replace(/\.torrent$/, '').toLowerCase();
+            if (!/^[a-f0-9]{40}$/.test(infoHash) || found.has(infoHash)) continue;
+
+            const dir = path.join(this.dataDir, infoHash);
+            const bytes = await this.measure(dir);
+            let mtime = 0;
+            try {
+                mtime = (await fs.promises.stat(path.join(this.dataDir, name))).mtimeMs;
+            } catch (error) {
+                // Entry disappeared while scanning
+            }
+
+            found.set(infoHash, { bytes, mtime });
+        }
+
+        return found;
+    }
+
+    // Disk usage of a directory tree. Pieces are written at their offsets into sparse files,
+    // so allocated blocks are counted rather than the apparent file size.
+    async measure(target) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(target);
+        } catch (error) {
+            return 0;
+        }
+
+        if (!stat.isDirectory()) {
+            return stat.blocks !== undefined ? stat.blocks * 512 : stat.size;
+        }
+
+        let total = 0;
+        for (const name of await fs.promises.readdir(target)) {
+            total += await this.measure(path.join(target, name));
+        }
+        return total;
+    }
+
+    hasData(infoHash) {
+        const entry = this.entries.get(infoHash);
+        return !!entry && entry.bytes > 0;
+    }
+
+    // Record that a torrent is being watched, creating its entry if needed
+    touch(infoHash, magnet) {
+        if (!infoHash) return;
+
+        const entry = this.getOrCreateEntry(infoHash);
+        entry.lastWatched = Date.now();
+        if (magnet) entry.magnet = magnet;
+        this.scheduleSave();
+    }
+
+    getEntry(infoHash) {
+        return this.entries.get(infoHash) || null;
+    }
+
+    getOrCreateEntry(infoHash) {
+        if (!this.entries.has(infoHash)) {
+            this.entries.set(infoHash, { infoHash, magnet: null, bytes: 0, lastWatched: 0, pinned: false, complete: false, files: {} });
+        }
+        return this.entries.get(infoHash);
+    }
+
+    setPinned(infoHash, magnet, pinned) {
+        const entry = this.getOrCreateEntry(infoHash);
+        entry.pinned = pinned;
+        if (magnet) entry.magnet = magnet;
+        if (!pinned) entry.complete = false;
+        this.scheduleSave();
+    }
+
+    markComplete(infoHash) {
+        const entry = this.entries.get(infoHash);
+        if (entry && !entry.complete) {
+            entry.complete = true;
+            this.scheduleSave();
+        }
+    }
+
+    // file is a torrent-stream file; its path is relative to the torrent's data directory
+    markFileComplete(infoHash, fileIndex, file) {
+        const entry = this.getOrCreateEntry(infoHash);
+        if (entry.files[fileIndex]) return;
+
+        entry.files[fileIndex] = { name: file.name, path: file.path, length: file.length };
+        console.log(`💾 File fully cached: ${file.name}`);
+        this.scheduleSave();
+    }
+
+    getCompletedFile(infoHash, fileIndex) {
+        const entry = this.entries.get(infoHash);
+        const file = entry && entry.files[fileIndex];
+        if (!file) return null;
+
+        return { ...file, fullPath: path.join(this.dataDir, infoHash, file.path) };
+    }
+
+    // Every fully cached file, as { infoHash, fileIndex, name, path, length, fullPath }
+    getCompletedFiles() {
+        const files = [];
+        for (const entry of this.entries.values()) {
+            for (const fileIndex of Object.keys(entry.files)) {
+                files.push({ infoHash: entry.infoHash, fileIndex: Number(fileIndex), ...this.getCompletedFile(entry.infoHash, fileIndex) });
+            }
+        }
+        return files;
+    }
+
+    forgetCompletedFile(infoHash, fileIndex) {
+        const entry = this.entries.get(infoHash);
+        if (entry && entry.files[fileIndex]) {
+            delete entry.files[fileIndex];
+            this.scheduleSave();
+        }
+    }
+
+    isPinned(infoHash) {
+        const entry = this.entries.get(infoHash);
+        return !!entry && entry.pinned;
+    }
+
+    getPinned() {
+        return [...this.entries.values()].filter(entry => entry.pinned);
+    }
+
+    async refreshSizes() {
+        for (const entry of this.entries.values()) {
+            entry.bytes = await this.measure(path.join(this.dataDir, entry.infoHash));
+        }
+        this.scheduleSave();
+    }
+
+    getTotalBytes() {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            total += entry.bytes;
+        }
+        return total;
+    }
+
+    // Evict least recently watched torrents until the cache fits the quota.
+    // Pinned torrents and those in activeHashes (being streamed) are never evicted.
+    async enforceQuota(activeHashes = new Set()) {
+        const evicted = [];
+        let total = this.getTotalBytes();
+
+        if (total <= this.maxBytes) {
+            return evicted;
+        }
+
+        const candidates = [...this.entries.values()]
+            .filter(entry => !entry.pinned && !activeHashes.has(entry.infoHash))
+            .sort((a, b) => a.lastWatched - b.lastWatched);
+
+        for (const entry of candidates) {
+            if (total <= this.maxBytes) break;
+
+            console.log(`🗑️ Evicting ${entry.infoHash} from torrent cache (${this.formatBytes(entry.bytes)}, last watched ${new Date(entry.lastWatched).toISOString()})`);
+            await this.remove(entry.infoHash);
+            total -= entry.bytes;
+            evicted.push(entry.infoHash);
+        }
+
+        if (total > this.maxBytes) {
+            console.warn(`⚠️ Torrent cache over quota (${this.formatBytes(total)}) but everything left is pinned or in use`);
+        }
+
+        return evicted;
+    }
+
+    // The .torrent metadata is kept: it's a few KB and fetching it from peers again is the slow part
+    async remove(infoHash) {
+        await fs.promises.rm(path.join(this.dataDir, infoHash), { recursive: true, force: true });
+        this.entries.delete(infoHash);
+        this.scheduleSave();
+    }
+
+    // torrent-stream loads <infoHash>.torrent from its data directory instead of asking peers for metadata
+    async storeMetainfo(infoHash, metainfo) {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dataDir, `${infoHash}.torrent`), metainfo);
+    }
+
+    hasMetainfo(infoHash) {
+        return fs.existsSync(path.join(this.dataDir, `${infoHash}.torrent`));
+    }
+
+    getStats() {
+        return {
+            torrents: this.entries.size,
+            pinned: this.getPinned().length,
+            bytes: this.getTotalBytes(),
+            maxBytes: this.maxBytes
+        };
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save().catch((error) => {
+                console.error('❌ Failed to save torrent cache index:', error.message);
+            });
+        }, SAVE_DELAY);
+    }
+
+    // Write to a temp file and rename so a crash never leaves a truncated index
+    async save() {
+        const tempPath = `${this.indexPath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify([...this.entries.values()], null, 2));
+        await fs.promises.rename(tempPath, this.indexPath);
+    }
+
+    formatBytes(bytes) {
+        if (bytes === 0) return "0 B";
+        const k = 1024;
+        const sizes = ["B", "KB", "MB", "GB", "TB"];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+    }
+}
+
+module.exports = {
+    TorrentCacheManager,
+    infoHashFromMagnet
+};
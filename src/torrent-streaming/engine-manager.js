@@ -0,0 +1,166 @@
+const { infoHashFromMagnet } = require('./cache-manager');
+
+// Owns the shared torrent engines. Readers acquire an engine and release it when their
+// response closes; an engine is only torn down once nobody holds it and the cache policy agrees.
+class EngineManager {
+    constructor({ createEngine, canClose = () => true }) {
+        this.createEngine = createEngine; // (magnetHash) => engine
+        this.canClose = canClose; // (record) => boolean, consulted when an engine has no readers
+        this.engines = new Map(); // infoHash -> { infoHash, magnetHash, engine, refs, lastAccess }
+    }
+
+    // Magnets for one torrent can differ in trackers or hash encoding, but torrent-stream keeps
+    // its data per info hash, so they have to share one engine
+    keyOf(magnetHash) {
+        return infoHashFromMagnet(magnetHash) || magnetHash;
+    }
+
+    // Returns the engine record for a magnet, creating the engine if needed. Doesn't take a reference.
+    get(magnetHash) {
+        const infoHash = this.keyOf(magnetHash);
+        let record = this.engines.get(infoHash);
+
+        if (record) {
+            record.lastAccess = Date.now();
+            return record;
+        }
+
+        record = {
+            infoHash,
+            magnetHash,
+            engine: this.createEngine(magnetHash),
+            refs: 0,
+            lastAccess: Date.now()
+        };
+        this.engines.set(infoHash, record);
+        return record;
+    }
+
+    // Take a reference on the engine; call release() exactly once when done (extra calls are ignored)
+    acquire(magnetHash) {
+        const record = this.get(magnetHash);
+        record.refs++;
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+
+            record.refs--;
+            record.lastAccess = Date.now();
+
+            if (record.refs === 0) {
+                this.closeIfAllowed(record);
+            }
+        };
+
+        return { engine: record.engine, release };
+    }
+
+    // Resolves once metadata is available, including when 'ready' already fired.
+    // Listeners are removed whichever way it settles.
+    whenReady(engine, timeoutMs = 30000) {
+        return new Promise((resolve, reject) => {
+            let timeout = null;
+
+            const cleanup = () => {
+                clearTimeout(timeout);
+                engine.removeListener('ready', onReady);
+                engine.removeListener('error', onError);
+            };
+            const onReady = () => {
+                cleanup();
+                resolve(engine);
+            };
+            const onError = (err) => {
+                cleanup();
+                reject(err);
+            };
+
+            if (engine.torrent) {
+                return resolve(engine);
+            }
+
+            timeout = setTimeout(() => {
+                cleanup();
+                const error = new Error('Torrent metadata timeout');
+                error.status = 408;
+                reject(error);
+            }, timeoutMs);
+
+            engine.once('ready', onReady);
+            engine.once('error', onError);
+        });
+    }
+
+    // The open record for a magnet, without creating an engine or counting as access
+    peek(magnetHash) {
+        return this.engines.get(this.keyOf(magnetHash)) || null;
+    }
+
+    touch(magnetHash) {
+        const record = this.peek(magnetHash);
+        if (record) {
+            record.lastAccess = Date.now();
+        }
+    }
+
+    findByInfoHash(infoHash) {
+        return this.engines.get(infoHash) || null;
+    }
+
+    isOpen(engine) {
+        for (const record of this.engines.values()) {
+            if (record.engine === engine) return true;
+        }
+        return false;
+    }
+
+    isInUse(engine) {
+        for (const record of this.engines.values()) {
+            if (record.engine === engine) {
+                return record.refs > 0;
+            }
+        }
+        return false;
+    }
+
+    closeIfAllowed(record) {
+        if (record.refs === 0 && this.engines.get(record.infoHash) === record && this.canClose(record)) {
+            this.close(record.magnetHash);
+        }
+    }
+
+    // Re-check every unused engine against the cache policy
+    sweep() {
+        for (const record of [...this.engines.values()]) {
+            this.closeIfAllowed(record);
+        }
+    }
+
+    close(magnetHash) {
+        const record = this.peek(magnetHash);
+        if (!record) return;
+
+        this.engines.delete(record.infoHash);
+        record.engine.destroy();
+    }
+
+    get size() {
+        return this.engines.size;
+    }
+
+    getActiveCount() {
+        let count = 0;
+        for (const record of this.engines.values()) {
+            if (record.refs > 0) count++;
+        }
+        return count;
+    }
+
+    values() {
+        return this.engines.values();
+    }
+}
+
+module.exports = EngineManager;
@@ -0,0 +1,141 @@
+const DEFAULT_INTERVAL_HOURS = 6;
+const FIRST_RUN_DELAY = 5 * 60 * 1000; // Let pinned downloads and cached-file jobs get going first
+const CHECK_DURATION = 60 * 1000; // How long each swarm is watched
+const POLL_INTERVAL = 5 * 1000;
+// A single quiet check can be a slow DHT; only this many in a row mark a torrent dead
+const DEAD_AFTER_FAILED_CHECKS = 3;
+
+// Joins each catalog torrent's swarm for a minute on a schedule and records what it finds in
+// torrent_health: connected peers, how many of them are seeds, and whether the metadata came through.
+// A torrent is dead after several checks in a row without a single peer, unless its file is
+// already on disk here, since it plays from the cache either way.
+// Checks run one at a time with throwaway engines that never select a file, so nothing is downloaded.
+class HealthChecker {
+    constructor(pool, { createEngine, findOpenEngine, isCached }) {
+        this.pool = pool;
+        this.createEngine = createEngine; // (magnet) => engine without any file selected
+        this.findOpenEngine = findOpenEngine; // (infoHash) => engine a viewer already has open, or null
+        this.isCached = isCached; // (infoHash, fileIndex) => whether the file is fully on disk
+        this.interval = (parseFloat(process.env.TORRENT_HEALTH_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS) * 60 * 60 * 1000;
+        this.queue = []; // { infoHash, magnet, fileIndex } waiting to be checked
+        this.current = null; // torrent whose swarm is being watched
+    }
+
+    start() {
+        setTimeout(() => this.checkAll(), FIRST_RUN_DELAY);
+        setInterval(() => this.checkAll(), this.interval);
+    }
+
+    isPending(infoHash) {
+        return (!!this.current && this.current.infoHash === infoHash) || this.queue.some(job => job.infoHash === infoHash);
+    }
+
+    // Movies and their alternate sources share a torrent now and then; the swarm only needs watching once
+    async checkAll() {
+        let rows;
+        try {
+            rows = (await this.pool.query(`
+                SELECT DISTINCT ON (info_hash) info_hash, magnet, default_file_index
+                FROM (
+                    SELECT info_hash, magnet, default_file_index, 0 AS alternate, id FROM movies
+                    UNION ALL
+                    SELECT info_hash, magnet, default_file_index, 1 AS alternate, id FROM movie_sources
+                ) torrents
+                WHERE info_hash IS NOT NULL
+                ORDER BY info_hash, alternate, id
+            `)).rows;
+        } catch (error) {
+            console.warn('⚠️ Failed to load torrents for health checks:', error.message);
+            return;
+        }
+
+        console.log(`🩺 Checking swarm health of ${rows.length} torrents`);
+        rows.forEach(row => this.enqueue(row.info_hash, row.magnet, row.default_file_index));
+    }
+
+    enqueue(infoHash, magnet, fileIndex) {
+        if (this.isPending(infoHash)) return;
+
+        this.queue.push({ infoHash, magnet, fileIndex });
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.current || this.queue.length === 0) return;
+
+        this.current = this.queue.shift();
+        try {
+            await this.check(this.current);
+        } catch (error) {
+            console.warn(`⚠️ Health check failed for ${this.current.infoHash}:`, error.message);
+        } finally {
+            this.current = null;
+            this.processQueue();
+        }
+    }
+
+    async check({ infoHash, magnet, fileIndex }) {
+        // Someone is watching, so their engine already knows the swarm; a second one would only compete with it
+        const openEngine = this.findOpenEngine(infoHash);
+        const result = openEngine
+            ? this.measure(openEngine)
+            : await this.watchSwarm(magnet);
+
+        await this.record(infoHash, result, fileIndex != null && this.isCached(infoHash, fileIndex));
+    }
+
+    async watchSwarm(magnet) {
+        const engine = this.createEngine(magnet);
+        // Throwaway engines shouldn't take the process down over a bad magnet
+        engine.on('error', (err) => console.warn('⚠️ Health check engine error:', err.message));
+
+        try {
+            const deadline = Date.now() + CHECK_DURATION;
+            let result = this.measure(engine);
+            // A seed with the metadata is as good as it gets, so stop watching early
+            while (Date.now() < deadline && !(result.metadataResolved && result.seeds > 0)) {
+                await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+                result = this.measure(engine);
+            }
+            return result;
+        } finally {
+            // Keep the (empty) pieces, only the engine's temp directory and .torrent need to go
+            engine.destroy(() => engine.remove(true, () => {}));
+        }
+    }
+
+    // Seeds can only be told apart once the metadata says how many pieces there are
+    measure(engine) {
+        const wires = engine.swarm ? engine.swarm.wires : [];
+        return {
+            peers: wires.length,
+            seeds: wires.filter(wire => wire.isSeeder).length,
+            metadataResolved: !!engine.torrent
+        };
+    }
+
+    async record(infoHash, { peers, seeds, metadataResolved }, cached) {
+        const previous = await this.pool.query('SELECT failed_checks FROM torrent_health WHERE info_hash = $1', [infoHash]);
+        const alive = peers > 0 || metadataResolved;
+        const failedChecks = alive ? 0 : (previous.rows.length > 0 ? previous.rows[0].failed_checks : 0) + 1;
+        const isDead = !cached && failedChecks >= DEAD_AFTER_FAILED_CHECKS;
+
+        await this.pool.query(`
+            INSERT INTO torrent_health (info_hash, seeds, peers, metadata_resolved, failed_checks, is_dead, checked_at, last_alive_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW(), CASE WHEN $7 THEN NOW() END)
+            ON CONFLICT (info_hash) DO UPDATE SET
+                seeds = EXCLUDED.seeds,
+                peers = EXCLUDED.peers,
+                metadata_resolved = EXCLUDED.metadata_resolved,
+                failed_checks = EXCLUDED.failed_checks,
+                is_dead = EXCLUDED.is_dead,
+                checked_at = NOW(),
+                last_alive_at = COALESCE(EXCLUDED.last_alive_at, torrent_health.last_alive_at)
+        `, [infoHash, seeds, peers, metadataResolved, failedChecks, isDead, alive]);
+
+        const icon = isDead ? '💀' : alive ? '💚' : '⚠️';
+        console.log(`${icon} Swarm health for ${infoHash}: ${seeds} seeds, ${peers} peers, metadata ${metadataResolved ? 'resolved' : 'missing'}${isDead ? ' (dead)' : ''}`);
+    }
+}
+
+module.exports = HealthChecker;
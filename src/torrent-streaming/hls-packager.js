@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { planHls } = require('./transcoder');
+
+const SEGMENT_DURATION = 6; // seconds
+const DEFAULT_BANDWIDTH = 5000000; // Used when the probe can't tell us the bitrate
+const AUDIO_BANDWIDTH = 192000;
+
+// Lower renditions offered below the source; only the ones smaller than the source are used
+const LADDER = [
+    { name: '1080p', height: 1080, videoBitrate: 5000000 },
+    { name: '720p', height: 720, videoBitrate: 2800000 },
+    { name: '480p', height: 480, videoBitrate: 1200000 }
+];
+
+// Builds HLS playlists from a probe result and cuts segments on demand with the transcoder.
+// Segments are cached on disk so seeking back or a second viewer doesn't re-run ffmpeg.
+class HlsPackager {
+    constructor(transcoder, options = {}) {
+        this.transcoder = transcoder;
+        this.cacheDir = options.cacheDir || process.env.HLS_CACHE_DIR || '/tmp/hls';
+        this.segmentDuration = options.segmentDuration || SEGMENT_DURATION;
+        this.pendingSegments = new Map(); // segment path -> Promise while ffmpeg is running
+    }
+
+    getRenditions(analysis) {
+        const video = analysis.video || {};
+        const renditions = [{
+            name: 'source',
+            width: video.width,
+            height: video.height,
+            bandwidth: analysis.bitrate || DEFAULT_BANDWIDTH
+        }];
+
+        // Without known dimensions we can't tell which rungs are downscales
+        if (!video.width || !video.height) {
+            return renditions;
+        }
+
+        for (const rung of LADDER) {
+            if (rung.height >= video.height) continue;
+
+            // Keep the width even, as libx264 requires
+            const width = Math.round(video.width * rung.height / video.height / 2) * 2;
+            renditions.push({
+                ...rung,
+                width,
+                bandwidth: rung.videoBitrate + AUDIO_BANDWIDTH
+            });
+        }
+
+        return renditions;
+    }
+
+    getRendition(analysis, name) {
+        return this.getRenditions(analysis).find(rendition => rendition.name === name) || null;
+    }
+
+    buildMasterPlaylist(analysis) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+        for (const rendition of this.getRenditions(analysis)) {
+            let info = `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}`;
+            if (rendition.width && rendition.height) {
+                info += `,RESOLUTION=${rendition.width}x${rendition.height}`;
+            }
+            info += `,NAME="${rendition.name}"`;
+            lines.push(info, `${rendition.name}/index.m3u8`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    buildMediaPlaylist(analysis) {
+        const count = this.getSegmentCount(analysis);
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            `#EXT-X-TARGETDURATION:${this.segmentDuration}`,
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-PLAYLIST-TYPE:VOD'
+        ];
+
+        for (let i = 0; i < count; i++) {
+            const length = Math.min(this.segmentDuration, analysis.duration - i * this.segmentDuration);
+            lines.push(`#EXTINF:${length.toFixed(3)},`, `seg-${i}.ts`);
+        }
+
+        lines.push('#EXT-X-ENDLIST');
+        return lines.join('\n') + '\n';
+    }
+
+    getSegmentCount(analysis) {
+        return Math.ceil((analysis.duration || 0) / this.segmentDuration);
+    }
+
+    getSegmentPath(infoHash, fileIndex, renditionName, segmentIndex) {
+        return path.join(this.cacheDir, infoHash, String(fileIndex), renditionName, `seg-${segmentIndex}.ts`);
+    }
+
+    // Resolves with the path of a finished segment, running ffmpeg if it isn't cached yet
+    async getSegment({ infoHash, fileIndex, inputUrl, analysis, rendition, segmentIndex }) {
+        const segmentPath = this.getSegmentPath(infoHash, fileIndex, rendition.name, segmentIndex);
+
+        if (fs.existsSync(segmentPath)) {
+            return segmentPath;
+        }
+
+        if (this.pendingSegments.has(segmentPath)) {
+            return this.pendingSegments.get(segmentPath);
+        }
+
+        const job = this.createSegment(segmentPath, inputUrl, analysis, rendition, segmentIndex)
+            .finally(() => this.pendingSegments.delete(segmentPath));
+
+        this.pendingSegments.set(segmentPath, job);
+        return job;
+    }
+
+    async createSegment(segmentPath, inputUrl, analysis, rendition, segmentIndex) {
+        await fs.promises.mkdir(path.dirname(segmentPath), { recursive: true });
+
+        // Write to a temp file first so a half-written segment is never served
+        const tempPath = `${segmentPath}.part`;
+        const plan = planHls(analysis);
+
+        try {
+            await this.transcoder.segment(inputUrl, tempPath, {
+                start: segmentIndex * this.segmentDuration,
+                duration: this.segmentDuration,
+                transcodeAudio: plan.transcodeAudio,
+                audioTrack: analysis.audio ? analysis.audio.track : 0,
+                height: rendition.height && rendition.name !== 'source' ? rendition.height : null,
+                videoBitrate: rendition.videoBitrate
+            });
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        await fs.promises.rename(tempPath, segmentPath);
+        return segmentPath;
+    }
+
+    removeCache(infoHash) {
+        const dir = path.join(this.cacheDir, infoHash);
+        fs.promises.rm(dir, { recursive: true, force: true }).catch((err) => {
+            console.warn(`⚠️ Failed to remove HLS cache for ${infoHash}:`, err.message);
+        });
+    }
+}
+
+module.exports = HlsPackager;
@@ -0,0 +1,52 @@
+// Torrent metadata (name, size, video and subtitle file lists) persisted in the torrent_cache table,
+// so opening the player doesn't have to wait for peers to send the metadata again.
+class TorrentInfoStore {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async get(infoHash) {
+        if (!infoHash) return null;
+
+        const result = await this.pool.query(
+            'SELECT info_hash, name, total_length, video_files, subtitle_files FROM torrent_cache WHERE info_hash = $1',
+            [infoHash]
+        );
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return {
+            name: row.name || 'Unknown',
+            infoHash: row.info_hash,
+            // BIGINT comes back from pg as a string
+            length: parseInt(row.total_length) || 0,
+            files: row.video_files || [],
+            // Rows cached before subtitles were tracked have none until refreshed
+            subtitles: row.subtitle_files || []
+        };
+    }
+
+    // info is what /api/torrent/info returns; fileCount includes non-video files
+    async save(info, fileCount) {
+        await this.pool.query(`
+            INSERT INTO torrent_cache (info_hash, name, total_length, file_count, video_files, subtitle_files)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (info_hash) DO UPDATE SET
+                name = EXCLUDED.name,
+                total_length = EXCLUDED.total_length,
+                file_count = EXCLUDED.file_count,
+                video_files = EXCLUDED.video_files,
+                subtitle_files = EXCLUDED.subtitle_files,
+                updated_at = CURRENT_TIMESTAMP
+        `, [
+            info.infoHash,
+            info.name ? info.name.substring(0, 255) : null,
+            info.length,
+            fileCount,
+            JSON.stringify(info.files),
+            JSON.stringify(info.subtitles || [])
+        ]);
+    }
+}
+
+module.exports = TorrentInfoStore;
@@ -0,0 +1,149 @@
+const path = require('path');
+const { analyzeCompatibility } = require('./transcoder');
+
+const INTRO_WINDOW = 10 * 60; // Intros are looked for in the first 10 minutes
+const CREDITS_WINDOW = 10 * 60; // and credits in the last 10
+const MIN_INTRO = 15;
+const MAX_INTRO = 150;
+const MIN_CREDITS = 20;
+// Share of the time from a black stretch to the end that has to be black for it to start the credits
+const CREDITS_BLACK_RATIO = 0.7;
+// Credit text covers a little of the frame, so those frames still count as black at this threshold
+const CREDITS_PICTURE_THRESHOLD = 0.9;
+
+// Finds intro and end-credit ranges in fully cached files with ffmpeg's blackdetect and stores them
+// in media_markers for every movie or episode that plays the file.
+//  - An intro is the stretch between two fades to black early on, between MIN_INTRO and MAX_INTRO long.
+//  - Credits on a black background read as one long black run, so they start at the first black
+//    stretch near the end after which most of the remaining time is black.
+// Credits rolling over footage aren't found; the player then falls back to the end of the video.
+class MarkerDetector {
+    constructor(transcoder, pool) {
+        this.transcoder = transcoder;
+        this.pool = pool;
+        this.queue = []; // { infoHash, fileIndex, filePath } waiting for ffmpeg
+        this.current = null; // job ffmpeg is working on
+    }
+
+    isPending(infoHash, fileIndex) {
+        const matches = job => job.infoHash === infoHash && job.fileIndex === fileIndex;
+        return (!!this.current && matches(this.current)) || this.queue.some(matches);
+    }
+
+    enqueue(infoHash, fileIndex, filePath) {
+        if (this.isPending(infoHash, fileIndex)) return;
+
+        this.queue.push({ infoHash, fileIndex, filePath });
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.current || this.queue.length === 0) return;
+
+        this.current = this.queue.shift();
+        try {
+            await this.detect(this.current);
+        } catch (error) {
+            console.warn(`⚠️ Intro/credits detection failed for ${this.current.infoHash}/${this.current.fileIndex}:`, error.message);
+        } finally {
+            this.current = null;
+            this.processQueue();
+        }
+    }
+
+    // Movies and episodes playing this file that don't have markers for it yet
+    async findTargets(infoHash, fileIndex) {
+        const result = await this.pool.query(`
+            SELECT m.id AS movie_id, NULL::INTEGER AS episode_id
+            FROM movies m
+            LEFT JOIN media_markers mm ON mm.movie_id = m.id AND mm.info_hash = m.info_hash AND mm.file_index = m.default_file_index
+            WHERE m.info_hash = $1 AND m.default_file_index = $2 AND mm.id IS NULL
+            UNION ALL
+            SELECT NULL::INTEGER AS movie_id, e.id AS episode_id
+            FROM episodes e
+            LEFT JOIN media_markers mm ON mm.episode_id = e.id AND mm.info_hash = e.info_hash AND mm.file_index = e.file_index
+            WHERE e.info_hash = $1 AND e.file_index = $2 AND mm.id IS NULL
+        `, [infoHash, fileIndex]);
+        return result.rows;
+    }
+
+    async detect({ infoHash, fileIndex, filePath }) {
+        const targets = await this.findTargets(infoHash, fileIndex);
+        if (targets.length === 0 || !(await this.transcoder.isAvailable())) return;
+
+        const analysis = analyzeCompatibility(await this.transcoder.probe(filePath), filePath);
+        if (!analysis.video || !analysis.duration) {
+            throw new Error('No video stream with a known duration');
+        }
+
+        console.log(`🎞️ Detecting intro and credits in ${path.basename(filePath)}...`);
+        const duration = analysis.duration;
+
+        const introBlacks = await this.transcoder.detectBlack(filePath, {
+            start: 0,
+            duration: Math.min(INTRO_WINDOW, duration / 3)
+        });
+        const creditsStartWindow = Math.max(0, duration - CREDITS_WINDOW);
+        const creditsBlacks = await this.transcoder.detectBlack(filePath, {
+            start: creditsStartWindow,
+            pictureThreshold: CREDITS_PICTURE_THRESHOLD
+        });
+
+        const intro = this.findIntro(introBlacks);
+        const creditsStart = this.findCreditsStart(creditsBlacks, duration);
+
+        for (const target of targets) {
+            const column = target.movie_id ? 'movie_id' : 'episode_id';
+            await this.pool.query(`
+                INSERT INTO media_markers (${column}, info_hash, file_index, intro_start, intro_end, credits_start, detected_at)
+                VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                ON CONFLICT (${column}) DO UPDATE SET
+                    info_hash = EXCLUDED.info_hash,
+                    file_index = EXCLUDED.file_index,
+                    intro_start = EXCLUDED.intro_start,
+                    intro_end = EXCLUDED.intro_end,
+                    credits_start = EXCLUDED.credits_start,
+                    detected_at = NOW()
+            `, [
+                target.movie_id || target.episode_id,
+                infoHash,
+                fileIndex,
+                intro ? intro.start : null,
+                intro ? intro.end : null,
+                creditsStart
+            ]);
+        }
+
+        console.log(`✅ Markers for ${path.basename(filePath)}: intro ${intro ? `${Math.round(intro.start)}-${Math.round(intro.end)}s` : 'none'}, credits ${creditsStart !== null ? `${Math.round(creditsStart)}s` : 'none'}`);
+    }
+
+    findIntro(blacks) {
+        for (let i = 0; i < blacks.length - 1; i++) {
+            const start = blacks[i].end;
+            const end = blacks[i + 1].start;
+            if (end - start >= MIN_INTRO && end - start <= MAX_INTRO) {
+                return { start, end };
+            }
+        }
+        return null;
+    }
+
+    findCreditsStart(blacks, duration) {
+        for (let i = 0; i < blacks.length; i++) {
+            const remaining = duration - blacks[i].start;
+            if (remaining < MIN_CREDITS) break;
+
+            const blackTime = blacks.slice(i).reduce((total, black) => total + (black.end - black.start), 0);
+            if (blackTime / remaining >= CREDITS_BLACK_RATIO) {
+                return blacks[i].start;
+            }
+        }
+        return null;
+    }
+
+    removeQueued(infoHash) {
+        this.queue = this.queue.filter(job => job.infoHash !== infoHash);
+    }
+}
+
+module.exports = MarkerDetector;
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+const MAX_METAINFO_BYTES = 5 * 1024 * 1024; // Real .torrent files are a few hundred KB at most
+
+// Minimal bencode decoder. Strings stay Buffers since piece hashes are binary;
+// the raw bytes of the info dictionary are kept because the info hash is their SHA-1.
+function decode(buffer) {
+    let position = 0;
+    let infoRange = null;
+
+    const fail = (message) => {
+        throw new Error(`Invalid torrent file: ${message} at byte ${position}`);
+    };
+
+    const readUntil = (char) => {
+        const end = buffer.indexOf(char, position);
+        if (end === -1) fail(`missing '${char}'`);
+        const text = buffer.toString('ascii', position, end);
+        position = end + 1;
+        return text;
+    };
+
+    const next = (depth) => {
+        if (depth > 64) fail('nesting too deep');
+        if (position >= buffer.length) fail('unexpected end of data');
+
+        const char = String.fromCharCode(buffer[position]);
+
+        if (char === 'i') {
+            position++;
+            const text = readUntil('e');
+            if (!/^-?\d+$/.test(text)) fail('bad integer');
+            return parseInt(text, 10);
+        }
+
+        if (char === 'l') {
+            position++;
+            const list = [];
+            while (buffer[position] !== 0x65) { // 'e'
+                list.push(next(depth + 1));
+            }
+            position++;
+            return list;
+        }
+
+        if (char === 'd') {
+            position++;
+            const dict = {};
+            while (buffer[position] !== 0x65) {
+                const key = next(depth + 1);
+                if (!Buffer.isBuffer(key)) fail('dictionary key is not a string');
+
+                const name = key.toString('utf8');
+                const start = position;
+                dict[name] = next(depth + 1);
+
+                if (depth === 0 && name === 'info') {
+                    infoRange = [start, position];
+                }
+            }
+            position++;
+            return dict;
+        }
+
+        if (char >= '0' && char <= '9') {
+            const length = parseInt(readUntil(':'), 10);
+            if (isNaN(length) || position + length > buffer.length) fail('bad string length');
+            const value = buffer.subarray(position, position + length);
+            position += length;
+            return value;
+        }
+
+        fail(`unexpected '${char}'`);
+    };
+
+    const value = next(0);
+    return { value, infoBuffer: infoRange ? buffer.subarray(infoRange[0], infoRange[1]) : null };
+}
+
+const text = (value) => Buffer.isBuffer(value) ? value.toString('utf8') : null;
+
+// Parses a .torrent file into the same shape /api/torrent/info returns, plus trackers.
+// Throws on anything that isn't a usable torrent.
+function parseMetainfo(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw new Error('Invalid torrent file: empty');
+    }
+    if (buffer.length > MAX_METAINFO_BYTES) {
+        throw new Error('Invalid torrent file: too large');
+    }
+
+    const { value, infoBuffer } = decode(buffer);
+    const info = value && value.info;
+    if (!infoBuffer || !info || typeof info !== 'object') {
+        throw new Error('Invalid torrent file: no info dictionary');
+    }
+
+    const name = text(info['name.utf-8']) || text(info.name);
+    if (!name || !Number.isInteger(info['piece length']) || !Buffer.isBuffer(info.pieces)) {
+        throw new Error('Invalid torrent file: incomplete info dictionary');
+    }
+
+    // Multi-file torrents list paths relative to a directory named after the torrent
+    const entries = Array.isArray(info.files)
+        ? info.files.map(file => ({
+            path: [name, ...(file['path.utf-8'] || file.path || []).map(text)].join('/'),
+            length: file.length
+        }))
+        : [{ path: name, length: info.length }];
+
+    if (entries.some(entry => !Number.isInteger(entry.length) || entry.length < 0)) {
+        throw new Error('Invalid torrent file: bad file length');
+    }
+
+    const files = entries.map((entry, index) => ({
+        name: entry.path.split('/').pop(),
+        path: entry.path,
+        length: entry.length,
+        index
+    }));
+
+    const announce = [];
+    const addTracker = (url) => {
+        const tracker = text(url);
+        if (tracker && !announce.includes(tracker)) announce.push(tracker);
+    };
+    addTracker(value.announce);
+    (value['announce-list'] || []).forEach(tier => {
+        if (Array.isArray(tier)) tier.forEach(addTracker);
+    });
+
+    return {
+        infoHash: crypto.createHash('sha1').update(infoBuffer).digest('hex'),
+        name,
+        length: files.reduce((total, file) => total + file.length, 0),
+        files,
+        announce
+    };
+}
+
+// Magnet for a parsed torrent, so code that only knows magnets keeps working
+function buildMagnet(metainfo) {
+    let magnet = `magnet:?xt=urn:btih:${metainfo.infoHash}&dn=${encodeURIComponent(metainfo.name)}`;
+    metainfo.announce.forEach(tracker => {
+        magnet += `&tr=${encodeURIComponent(tracker)}`;
+    });
+    return magnet;
+}
+
+module.exports = {
+    parseMetainfo,
+    buildMagnet
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeCompatibility } = require('./transcoder');
+
+const DEFAULT_INTERVAL = 10; // seconds between thumbnails
+const THUMBNAIL_WIDTH = 160;
+const DEFAULT_THUMBNAIL_HEIGHT = 90; // When the probe can't tell us the aspect ratio
+const COLUMNS = 10;
+const ROWS = 10;
+
+function formatTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+// Builds scrub-preview sprite sheets for files that are fully on disk, plus a WebVTT index that
+// maps each time range to a region of a sheet (sprite-0.jpg#xywh=x,y,w,h).
+// Reading a whole movie takes minutes, so jobs run in the background, one ffmpeg at a time.
+class ThumbnailGenerator {
+    constructor(transcoder, options = {}) {
+        this.transcoder = transcoder;
+        // Absolute, since sprites are handed to res.sendFile
+        this.cacheDir = path.resolve(options.cacheDir || process.env.THUMBNAIL_CACHE_DIR || '/tmp/thumbnails');
+        this.interval = options.interval || parseFloat(process.env.THUMBNAIL_INTERVAL) || DEFAULT_INTERVAL;
+        this.queue = []; // { infoHash, fileIndex, filePath } waiting for ffmpeg
+        this.current = null; // job ffmpeg is working on
+    }
+
+    getDir(infoHash, fileIndex) {
+        return path.join(this.cacheDir, infoHash, String(fileIndex));
+    }
+
+    getIndexPath(infoHash, fileIndex) {
+        return path.join(this.getDir(infoHash, fileIndex), 'thumbnails.vtt');
+    }
+
+    getSpritePath(infoHash, fileIndex, spriteName) {
+        return path.join(this.getDir(infoHash, fileIndex), spriteName);
+    }
+
+    isReady(infoHash, fileIndex) {
+        return fs.existsSync(this.getIndexPath(infoHash, fileIndex));
+    }
+
+    isPending(infoHash, fileIndex) {
+        const matches = job => job.infoHash === infoHash && job.fileIndex === fileIndex;
+        return (!!this.current && matches(this.current)) || this.queue.some(matches);
+    }
+
+    // Queue a fully downloaded file; files that already have thumbnails or are queued are skipped
+    enqueue(infoHash, fileIndex, filePath) {
+        if (this.isReady(infoHash, fileIndex) || this.isPending(infoHash, fileIndex)) return;
+
+        this.queue.push({ infoHash, fileIndex, filePath });
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.current || this.queue.length === 0) return;
+
+        this.current = this.queue.shift();
+        try {
+            await this.generate(this.current);
+        } catch (error) {
+            console.warn(`⚠️ Thumbnail generation failed for ${this.current.infoHash}/${this.current.fileIndex}:`, error.message);
+        } finally {
+            this.current = null;
+            this.processQueue();
+        }
+    }
+
+    async generate({ infoHash, fileIndex, filePath }) {
+        if (!(await this.transcoder.isAvailable())) return;
+
+        const analysis = analyzeCompatibility(await this.transcoder.probe(filePath), filePath);
+        if (!analysis.video || !analysis.duration) {
+            throw new Error('No video stream with a known duration');
+        }
+
+        // Keep the source's aspect ratio, with an even height for the scaler
+        const { width, height } = analysis.video;
+        const thumbnailHeight = width && height
+            ? Math.round(THUMBNAIL_WIDTH * height / width / 2) * 2
+            : DEFAULT_THUMBNAIL_HEIGHT;
+
+        const dir = this.getDir(infoHash, fileIndex);
+        // Built in a temp directory so a half-finished set is never served
+        const tempDir = `${dir}.part`;
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+        await fs.promises.mkdir(tempDir, { recursive: true });
+
+        console.log(`🖼️ Generating thumbnails for ${path.basename(filePath)}...`);
+
+        try {
+            await this.transcoder.thumbnails(filePath, path.join(tempDir, 'sprite-%d.jpg'), {
+                interval: this.interval,
+                width: THUMBNAIL_WIDTH,
+                height: thumbnailHeight,
+                columns: COLUMNS,
+                rows: ROWS
+            });
+
+            const sheetCount = (await fs.promises.readdir(tempDir))
+                .filter(name => /^sprite-\d+\.jpg$/.test(name))
+                .length;
+
+            await fs.promises.writeFile(
+                path.join(tempDir, 'thumbnails.vtt'),
+                this.buildIndex(analysis.duration, sheetCount, THUMBNAIL_WIDTH, thumbnailHeight)
+            );
+
+            await fs.promises.rm(dir, { recursive: true, force: true });
+            await fs.promises.rename(tempDir, dir);
+        } catch (error) {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+            throw error;
+        }
+
+        console.log(`✅ Thumbnails ready for ${path.basename(filePath)}`);
+    }
+
+    // Sheets fill left to right, top to bottom; sprite URLs are relative to the index
+    buildIndex(duration, sheetCount, width, height) {
+        const perSheet = COLUMNS * ROWS;
+        const count = Math.min(Math.ceil(duration / this.interval), sheetCount * perSheet);
+        const lines = ['WEBVTT', ''];
+
+        for (let i = 0; i < count; i++) {
+            const start = i * this.interval;
+            const end = Math.min(duration, start + this.interval);
+            const position = i % perSheet;
+            const x = (position % COLUMNS) * width;
+            const y = Math.floor(position / COLUMNS) * height;
+
+            lines.push(
+                `${formatTimestamp(start)} --> ${formatTimestamp(end)}`,
+                `sprite-${Math.floor(i / perSheet)}.jpg#xywh=${x},${y},${width},${height}`,
+                ''
+            );
+        }
+
+        return lines.join('\n');
+    }
+
+    removeCache(infoHash) {
+        this.queue = this.queue.filter(job => job.infoHash !== infoHash);
+        fs.promises.rm(path.join(this.cacheDir, infoHash), { recursive: true, force: true }).catch((err) => {
+            console.warn(`⚠️ Failed to remove thumbnails for ${infoHash}:`, err.message);
+        });
+    }
+}
+
+module.exports = ThumbnailGenerator;
@@ -1,5 +1,41 @@
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { createTranscoder, analyzeCompatibility } = require('./transcoder');
+const HlsPackager = require('./hls-packager');
+const ThumbnailGenerator = require('./thumbnail-generator');
+const MarkerDetector = require('./marker-detector');
+const HealthChecker = require('./health-checker');
+const { TorrentCacheManager, infoHashFromMagnet } = require('./cache-manager');
+const EngineManager = require('./engine-manager');
+const TorrentInfoStore = require('./info-store');
+const { parseMetainfo } = require('./metainfo');
+const { subtitleFormat, describeSubtitleFile, describeLanguage, toWebVtt } = require('../subtitles/webvtt');
+const { pool } = require('../db/db');
+
+const VIDEO_FILE = /\.(mp4|mkv|webm|avi|mov|m4v)$/i;
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024; // Sidecar subtitles are a few hundred KB
+
+// Engines nobody has touched for this long are closed; their data stays in the disk cache
+const ENGINE_IDLE_TIMEOUT = 2 * 60 * 60 * 1000;
+
+// Finished content is served from disk; keep seeding it only when asked to
+const SEED_COMPLETED = process.env.TORRENT_SEED_COMPLETED === 'true';
+
+// Pieces just ahead of the viewer are fetched before anything else the engine wants.
+// Read streams select up to the end of their file at priority 1, pinned downloads at 0.
+const PLAYHEAD_WINDOW_BYTES = 64 * 1024 * 1024;
+const PLAYHEAD_PRIORITY = 2;
+const PLAYHEAD_CRITICAL_PIECES = 2; // Re-requested from faster peers if they stall
+
+// How long a movie source gets to produce metadata, then a first peer, before it's skipped.
+// Sources are checked side by side, and the whole resolve gives up after SOURCE_RESOLVE_TIMEOUT.
+const SOURCE_METADATA_TIMEOUT = 20000;
+const SOURCE_PEER_TIMEOUT = 15000;
+const SOURCE_RESOLVE_TIMEOUT = 40000;
+
+const STATUS_INTERVAL = 2000; // How often the status feeds send an update
 
 // Use torrent-stream for server-side torrenting (more reliable than WebTorrent for servers)
 let torrentStream;
@@ -12,9 +48,35 @@ try {
 class TorrentStreamingProxy {
     constructor() {
         this.app = express();
-        this.activeEngines = new Map();
-        this.persistentEngines = new Map(); // For 24-hour caching
+        // Shared engines by info hash, reference counted per reader; data lives in this.cache
+        this.engines = new EngineManager({
+            createEngine: (magnetHash) => this.createEngine(magnetHash),
+            canClose: (record) => this.canCloseEngine(record)
+        });
         this.watchProgress = new Map(); // Track watch progress per movie
+        this.probeCache = new Map(); // ffprobe results per infoHash:fileIndex
+        this.pendingSubtitles = new Map(); // extracted subtitle path -> Promise while ffmpeg is running
+        this.infoStore = new TorrentInfoStore(pool); // Torrent metadata, persisted in torrent_cache
+        this.transcoder = createTranscoder();
+        this.hls = new HlsPackager(this.transcoder);
+        this.thumbnails = new ThumbnailGenerator(this.transcoder);
+        this.markers = new MarkerDetector(this.transcoder, pool);
+        this.health = new HealthChecker(pool, {
+            // Kept out of the disk cache so checks never show up as cached torrents
+            createEngine: (magnet) => torrentStream(magnet, {
+                tmp: path.join(os.tmpdir(), 'torrent-health'),
+                verify: false,
+                dht: true,
+                tracker: true,
+                maxConns: 20
+            }),
+            findOpenEngine: (infoHash) => {
+                const record = this.engines.findByInfoHash(infoHash);
+                return record ? record.engine : null;
+            },
+            isCached: (infoHash, fileIndex) => !!this.cache.getCompletedFile(infoHash, fileIndex)
+        });
+        this.cache = new TorrentCacheManager();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupCleanup();
@@ -47,31 +109,44 @@ class TorrentStreamingProxy {
                 endpoints: [
                     'GET /api/torrent/health',
                     'GET /api/torrent/info/:magnetHash',
-                    'GET /api/torrent/stream/:magnetHash/:fileIndex'
+                    'GET /api/torrent/stream/:magnetHash/:fileIndex',
+                    'GET /api/torrent/probe/:magnetHash/:fileIndex',
+                    'GET /api/torrent/remux/:magnetHash/:fileIndex?start=seconds',
+                    'GET /api/torrent/hls/:infoHash/:fileIndex/master.m3u8',
+                    'GET /api/torrent/thumbnails/:infoHash/:fileIndex/thumbnails.vtt',
+                    'GET /api/torrent/status/:infoHash (Server-Sent Events)'
                 ]
             });
         });
 
         // Health check
-        this.app.get('/api/torrent/health', (req, res) => {
+        this.app.get('/api/torrent/health', async (req, res) => {
             res.json({
                 status: 'ready',
-                activeStreams: this.activeEngines.size,
-                persistentStreams: this.persistentEngines.size,
+                activeStreams: this.engines.getActiveCount(),
+                persistentStreams: this.engines.size,
                 timestamp: new Date().toISOString(),
-                available: !!torrentStream
+                available: !!torrentStream,
+                transcoder: await this.transcoder.isAvailable(),
+                cache: this.cache.getStats()
             });
         });
 
         // Update watch progress endpoint
         this.app.post('/api/torrent/progress', (req, res) => {
-            const { magnetHash, progress } = req.body;
+            const { magnetHash, progress, fileIndex, position, duration } = req.body;
             
             if (!magnetHash || progress === undefined) {
                 return res.status(400).json({ error: 'magnetHash and progress are required' });
             }
             
             this.updateWatchProgress(magnetHash, progress);
+
+            // Older clients only send progress; the window needs to know which file is playing
+            if (fileIndex != null && position != null && duration) {
+                this.prioritizePlayhead(magnetHash, parseInt(fileIndex), Number(position), Number(duration));
+            }
+
             res.json({ success: true, progress });
         });
 
@@ -86,240 +161,1384 @@ class TorrentStreamingProxy {
             return;
         }
 
-        // Get torrent info
-        this.app.get('/api/torrent/info/:magnetHash', (req, res) => {
+        // Get torrent info, from torrent_cache when we've seen the torrent before
+        this.app.get('/api/torrent/info/:magnetHash', async (req, res) => {
             const magnetHash = decodeURIComponent(req.params.magnetHash);
             console.log('🔍 Getting torrent info for:', magnetHash);
 
-            const engine = torrentStream(magnetHash, {
-                tmp: '/tmp',
-                verify: false,
-                dht: true,
-                tracker: true
-            });
+            try {
+                res.json(await this.getTorrentInfo(magnetHash));
+            } catch (err) {
+                this.sendInfoError(res, err);
+            }
+        });
+
+        // First playable source of a movie with alternates. Body: { sources: [{ magnet, fileIndex }] },
+        // in the order to try them; the answer says which one was picked and why the others were skipped.
+        this.app.post('/api/torrent/sources/resolve', async (req, res) => {
+            const sources = Array.isArray(req.body.sources) ? req.body.sources : [];
+
+            if (sources.length === 0 || sources.some(source => !source || !infoHashFromMagnet(source.magnet))) {
+                return res.status(400).json({ error: 'sources must be a list of { magnet, fileIndex }' });
+            }
+
+            try {
+                const resolved = await this.resolveSource(sources);
+                if (resolved.index === null) {
+                    return res.status(503).json({ error: 'No source is available', skipped: resolved.skipped });
+                }
+                res.json(resolved);
+            } catch (err) {
+                this.sendInfoError(res, err);
+            }
+        });
+
+        // Live swarm and download numbers of one torrent, for the player's buffering stats
+        this.app.get('/api/torrent/status/:infoHash', (req, res) => {
+            const infoHash = req.params.infoHash.toLowerCase();
+
+            if (!/^[a-f0-9]{40}$/.test(infoHash)) {
+                return res.status(400).json({ error: 'Invalid info hash' });
+            }
 
-            const timeout = setTimeout(() => {
+            this.sendStatusEvents(req, res, () => this.getTorrentStatus(infoHash));
+        });
+
+        // Sidecar subtitle file from the torrent, converted to WebVTT for <track>
+        this.app.get('/api/torrent/subtitles/:magnetHash/:fileIndex', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            try {
+                const { name, buffer } = await this.readSmallFile(magnetHash, fileIndex, MAX_SUBTITLE_BYTES);
+                const format = subtitleFormat(name);
+                if (!format) {
+                    return res.status(400).json({ error: 'Not a subtitle file' });
+                }
+
+                res.set({
+                    'Content-Type': 'text/vtt; charset=utf-8',
+                    // Torrent content never changes
+                    'Cache-Control': 'public, max-age=86400'
+                });
+                res.send(toWebVtt(buffer, format));
+            } catch (err) {
+                console.error('❌ Subtitle error:', err.message);
                 if (!res.headersSent) {
-                    res.status(408).json({ error: 'Torrent info timeout' });
-                    engine.destroy();
+                    res.status(err.status || 500).json({ error: err.message });
                 }
-            }, 30000);
+            }
+        });
 
-            engine.on('ready', () => {
-                clearTimeout(timeout);
-                
-                const videoFiles = engine.files.filter(file => 
-                    /\.(mp4|mkv|webm|avi|mov|m4v)$/i.test(file.name)
-                );
+        // Audio tracks of a file, for players to offer a choice on multi-audio releases
+        this.app.get('/api/torrent/audio/:magnetHash/:fileIndex', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
 
+            try {
+                const analysis = await this.probeFile(magnetHash, fileIndex);
                 res.json({
-                    name: engine.torrent.name || 'Unknown',
-                    infoHash: engine.infoHash,
-                    length: engine.torrent.length,
-                    files: videoFiles.map((file, index) => ({
-                        name: file.name,
-                        length: file.length,
-                        index: engine.files.indexOf(file)
+                    tracks: analysis.audioTracks.map(track => this.describeAudioTrack(track))
+                });
+            } catch (err) {
+                console.error('❌ Audio track listing failed:', err.message);
+                res.status(err.status || 500).json({ error: err.message });
+            }
+        });
+
+        // Text subtitle streams embedded in the video file (MKV/MP4), from the probe
+        this.app.get('/api/torrent/subtitles/:magnetHash/:fileIndex/embedded', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            try {
+                const analysis = await this.probeFile(magnetHash, fileIndex);
+                const baseUrl = `/api/torrent/subtitles/${encodeURIComponent(magnetHash)}/${fileIndex}/embedded`;
+
+                res.json({
+                    tracks: analysis.subtitles.map(subtitle => ({
+                        ...this.describeEmbeddedSubtitle(subtitle),
+                        url: `${baseUrl}/${subtitle.track}`
                     }))
                 });
+            } catch (err) {
+                console.error('❌ Embedded subtitle listing failed:', err.message);
+                res.status(err.status || 500).json({ error: err.message });
+            }
+        });
 
-                // Keep engine alive for a bit, then clean up
-                setTimeout(() => {
-                    engine.destroy();
-                }, 10000);
-            });
+        // One embedded subtitle stream as WebVTT, extracted once and kept on disk
+        this.app.get('/api/torrent/subtitles/:magnetHash/:fileIndex/embedded/:track', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+            const track = parseInt(req.params.track);
 
-            engine.on('error', (err) => {
-                clearTimeout(timeout);
-                console.error('Torrent error:', err);
+            try {
+                const subtitlePath = await this.getEmbeddedSubtitle(magnetHash, fileIndex, track);
+                res.set({
+                    'Content-Type': 'text/vtt; charset=utf-8',
+                    'Cache-Control': 'public, max-age=86400'
+                });
+                res.sendFile(subtitlePath);
+            } catch (err) {
+                console.error('❌ Embedded subtitle extraction failed:', err.message);
                 if (!res.headersSent) {
-                    res.status(500).json({ error: err.message });
+                    res.status(err.status || 500).json({ error: err.message });
                 }
-            });
+            }
         });
 
         // Stream video file
-        this.app.get('/api/torrent/stream/:magnetHash/:fileIndex', (req, res) => {
+        this.app.get('/api/torrent/stream/:magnetHash/:fileIndex', async (req, res) => {
             const magnetHash = decodeURIComponent(req.params.magnetHash);
             const fileIndex = parseInt(req.params.fileIndex);
+
+            // Fully downloaded files don't need an engine or peers
+            if (await this.sendFromDisk(req, res, magnetHash, fileIndex)) {
+                return;
+            }
             
             console.log(`🎬 Streaming file ${fileIndex} from torrent`);
+            await this.streamFromEngine(req, res, magnetHash, fileIndex);
+        });
+
+        // Raw byte-range source for the transcoder (not exposed through the main server)
+        this.app.get('/internal/raw/:magnetHash/:fileIndex', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            if (await this.sendFromDisk(req, res, magnetHash, fileIndex)) {
+                return;
+            }
+
+            await this.streamFromEngine(req, res, magnetHash, fileIndex);
+        });
 
-            // Use persistent engine for better caching
-            const engine = this.getOrCreatePersistentEngine(magnetHash);
+        // Probe a file so players know its duration and whether it needs remuxing
+        this.app.get('/api/torrent/probe/:magnetHash/:fileIndex', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            try {
+                const analysis = await this.probeFile(magnetHash, fileIndex);
+                res.json(analysis);
+            } catch (error) {
+                console.error('❌ Probe failed:', error.message);
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
 
-            engine.on('ready', () => {
-                const file = engine.files[fileIndex];
-                if (!file) {
-                    res.status(404).send('File not found');
-                    engine.destroy();
-                    return;
+        // Remux/transcode non-browser containers to fragmented MP4 on the fly.
+        // Seeking restarts the stream at ?start=<seconds> instead of using byte ranges.
+        // ?audio=<track> picks an audio track from /api/torrent/audio instead of the default one.
+        this.app.get('/api/torrent/remux/:magnetHash/:fileIndex', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const fileIndex = parseInt(req.params.fileIndex);
+            const start = Math.max(0, parseFloat(req.query.start) || 0);
+
+            if (!(await this.transcoder.isAvailable())) {
+                return res.status(503).json({ error: 'Transcoder not available' });
+            }
+
+            let analysis;
+            try {
+                analysis = await this.probeFile(magnetHash, fileIndex);
+            } catch (error) {
+                console.error('❌ Probe before remux failed:', error.message);
+                return res.status(error.status || 500).json({ error: error.message });
+            }
+
+            let audioTrack = analysis.audio ? analysis.audio.track : 0;
+            let transcodeAudio = analysis.transcodeAudio;
+            if (req.query.audio !== undefined) {
+                const chosen = analysis.audioTracks.find(track => track.track === parseInt(req.query.audio));
+                if (!chosen) {
+                    return res.status(404).json({ error: 'Audio track not found' });
                 }
+                audioTrack = chosen.track;
+                transcodeAudio = chosen.transcode;
+            }
 
-                console.log(`📡 Streaming: ${file.name} (${file.length} bytes)`);
-                
-                const range = req.headers.range;
-                const fileSize = file.length;
-                
-                // Set content type based on file extension
-                const ext = path.extname(file.name).toLowerCase();
-                const contentTypes = {
-                    '.mp4': 'video/mp4',
-                    '.mkv': 'video/x-matroska',
-                    '.webm': 'video/webm',
-                    '.avi': 'video/x-msvideo',
-                    '.mov': 'video/quicktime'
-                };
-                
-                const contentType = contentTypes[ext] || 'video/mp4';
-                
-                if (range) {
-                    // Handle range requests (for seeking)
-                    const parts = range.replace(/bytes=/, '').split('-');
-                    const start = parseInt(parts[0], 10);
-                    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-                    const chunkSize = (end - start) + 1;
-
-                    res.writeHead(206, {
-                        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                        'Accept-Ranges': 'bytes',
-                        'Content-Length': chunkSize,
-                        'Content-Type': contentType,
-                        'Cache-Control': 'no-cache'
-                    });
+            console.log(`🎞️ Remuxing file ${fileIndex} from ${Math.round(start)}s (video: ${analysis.transcodeVideo ? 'transcode' : 'copy'}, audio track ${audioTrack}: ${transcodeAudio ? 'transcode' : 'copy'})`);
 
-                    const stream = file.createReadStream({ start, end });
-                    stream.pipe(res);
+            const ffmpeg = this.transcoder.remux(this.getRawUrl(magnetHash, fileIndex), {
+                start,
+                transcodeVideo: analysis.transcodeVideo,
+                transcodeAudio,
+                audioTrack
+            });
 
-                    stream.on('error', (err) => {
-                        console.error('Stream error:', err);
-                        if (!res.headersSent) res.status(500).end();
-                    });
-                } else {
-                    // Stream entire file
-                    res.writeHead(200, {
-                        'Content-Length': fileSize,
-                        'Content-Type': contentType,
-                        'Accept-Ranges': 'bytes',
-                        'Cache-Control': 'no-cache'
-                    });
+            res.writeHead(200, {
+                'Content-Type': 'video/mp4',
+                'Accept-Ranges': 'none',
+                'Cache-Control': 'no-cache',
+                'X-Stream-Start': String(start),
+                'X-Content-Duration': String(analysis.duration || '')
+            });
+
+            ffmpeg.stdout.pipe(res);
+
+            ffmpeg.stderr.on('data', (data) => {
+                console.warn('ffmpeg:', data.toString().trim());
+            });
+
+            ffmpeg.on('error', (err) => {
+                console.error('❌ Transcoder error:', err.message);
+                res.end();
+            });
+
+            ffmpeg.on('close', () => res.end());
+
+            req.on('close', () => {
+                ffmpeg.kill('SIGKILL');
+            });
+        });
+
+        // HLS master playlist, segments are cut from the torrent file as they are requested
+        this.app.get('/api/torrent/hls/:infoHash/:fileIndex/master.m3u8', async (req, res) => {
+            const source = await this.getHlsSource(req, res);
+            if (!source) return;
+
+            res.set({
+                'Content-Type': 'application/vnd.apple.mpegurl',
+                'Cache-Control': 'no-cache'
+            });
+            res.send(this.hls.buildMasterPlaylist(source.analysis));
+        });
+
+        this.app.get('/api/torrent/hls/:infoHash/:fileIndex/:rendition/index.m3u8', async (req, res) => {
+            const source = await this.getHlsSource(req, res);
+            if (!source) return;
+
+            if (!this.hls.getRendition(source.analysis, req.params.rendition)) {
+                return res.status(404).json({ error: 'Rendition not found' });
+            }
+
+            res.set({
+                'Content-Type': 'application/vnd.apple.mpegurl',
+                'Cache-Control': 'no-cache'
+            });
+            res.send(this.hls.buildMediaPlaylist(source.analysis));
+        });
+
+        this.app.get('/api/torrent/hls/:infoHash/:fileIndex/:rendition/:segment', async (req, res) => {
+            const match = /^seg-(\d+)\.ts$/.exec(req.params.segment);
+            if (!match) {
+                return res.status(404).json({ error: 'Segment not found' });
+            }
 
-                    const stream = file.createReadStream();
-                    stream.pipe(res);
+            const source = await this.getHlsSource(req, res);
+            if (!source) return;
 
-                    stream.on('error', (err) => {
-                        console.error('Stream error:', err);
-                        if (!res.headersSent) res.status(500).end();
+            const rendition = this.hls.getRendition(source.analysis, req.params.rendition);
+            const segmentIndex = parseInt(match[1]);
+            if (!rendition || segmentIndex >= this.hls.getSegmentCount(source.analysis)) {
+                return res.status(404).json({ error: 'Segment not found' });
+            }
+
+            const segmentOptions = {
+                infoHash: source.infoHash,
+                fileIndex: source.fileIndex,
+                inputUrl: this.getRawUrl(source.magnetHash, source.fileIndex),
+                analysis: source.analysis,
+                rendition
+            };
+
+            try {
+                const segmentPath = await this.hls.getSegment({ ...segmentOptions, segmentIndex });
+
+                res.set('Content-Type', 'video/mp2t');
+                res.sendFile(segmentPath);
+
+                // Start on the next segment while this one plays
+                if (segmentIndex + 1 < this.hls.getSegmentCount(source.analysis)) {
+                    this.hls.getSegment({ ...segmentOptions, segmentIndex: segmentIndex + 1 }).catch((err) => {
+                        console.warn(`⚠️ HLS prefetch failed for segment ${segmentIndex + 1}:`, err.message);
                     });
                 }
+            } catch (error) {
+                console.error(`❌ HLS segment ${segmentIndex} failed:`, error.message);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Failed to create segment' });
+                }
+            }
+        });
 
-                // Store engine for cleanup
-                const streamId = `${magnetHash}-${fileIndex}`;
-                this.activeEngines.set(streamId, { engine, lastAccess: Date.now() });
+        // Scrub-preview index: WebVTT cues pointing into sprite sheets. 202 while they're being made,
+        // 404 until the file is fully cached (thumbnails need the whole file).
+        this.app.get('/api/torrent/thumbnails/:infoHash/:fileIndex/thumbnails.vtt', (req, res) => {
+            const infoHash = req.params.infoHash.toLowerCase();
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            if (!/^[a-f0-9]{40}$/.test(infoHash) || isNaN(fileIndex)) {
+                return res.status(400).json({ error: 'Invalid info hash or file index' });
+            }
 
-                // Cleanup on disconnect
-                req.on('close', () => {
-                    console.log('Client disconnected');
-                    this.activeEngines.delete(streamId);
-                    engine.destroy();
+            if (this.thumbnails.isReady(infoHash, fileIndex)) {
+                res.set({
+                    'Content-Type': 'text/vtt; charset=utf-8',
+                    'Cache-Control': 'public, max-age=86400'
                 });
+                return res.sendFile(this.thumbnails.getIndexPath(infoHash, fileIndex));
+            }
+
+            this.queueThumbnails(infoHash, fileIndex);
+            if (this.thumbnails.isPending(infoHash, fileIndex)) {
+                return res.status(202).json({ status: 'generating' });
+            }
+
+            res.status(404).json({ error: 'Thumbnails are made once the file is fully cached' });
+        });
+
+        this.app.get('/api/torrent/thumbnails/:infoHash/:fileIndex/:sprite', (req, res) => {
+            const infoHash = req.params.infoHash.toLowerCase();
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            if (!/^[a-f0-9]{40}$/.test(infoHash) || isNaN(fileIndex) || !/^sprite-\d+\.jpg$/.test(req.params.sprite)) {
+                return res.status(404).json({ error: 'Sprite not found' });
+            }
+
+            const spritePath = this.thumbnails.getSpritePath(infoHash, fileIndex, req.params.sprite);
+            if (!this.thumbnails.isReady(infoHash, fileIndex) || !fs.existsSync(spritePath)) {
+                return res.status(404).json({ error: 'Sprite not found' });
+            }
+
+            res.set('Cache-Control', 'public, max-age=86400');
+            res.sendFile(spritePath);
+        });
+
+        // Ask for intro/credits detection of a file, e.g. when a movie has no markers yet (main server only)
+        this.app.post('/internal/markers/:infoHash/:fileIndex', (req, res) => {
+            const infoHash = req.params.infoHash.toLowerCase();
+            const fileIndex = parseInt(req.params.fileIndex);
+
+            if (!/^[a-f0-9]{40}$/.test(infoHash) || isNaN(fileIndex)) {
+                return res.status(400).json({ error: 'Invalid info hash or file index' });
+            }
+
+            if (!this.queueMarkerDetection(infoHash, fileIndex)) {
+                return res.status(404).json({ error: 'File is not fully cached' });
+            }
+            res.status(202).json({ status: 'queued' });
+        });
+
+        // Check one torrent's swarm now instead of waiting for the next scheduled round
+        this.app.post('/internal/health', (req, res) => {
+            const { magnet, fileIndex } = req.body;
+            const infoHash = infoHashFromMagnet(magnet || '');
+
+            if (!infoHash) {
+                return res.status(400).json({ error: 'Invalid magnet link' });
+            }
+
+            this.health.enqueue(infoHash, magnet, fileIndex != null ? parseInt(fileIndex) : null);
+            res.status(202).json({ status: 'queued' });
+        });
+
+        // Register an uploaded .torrent so engines start with full metadata instead of waiting on DHT
+        this.app.post('/internal/metainfo', express.raw({ type: 'application/x-bittorrent', limit: '10mb' }), async (req, res) => {
+            try {
+                const info = await this.registerMetainfo(req.body);
+                res.status(201).json(info);
+            } catch (error) {
+                console.error('❌ Failed to register torrent file:', error.message);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Re-fetch metadata from the swarm and overwrite the stored copy (admin refresh)
+        this.app.post('/internal/info/:magnetHash/refresh', async (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            console.log('🔄 Refreshing torrent info for:', magnetHash);
+
+            try {
+                res.json(await this.getTorrentInfo(magnetHash, { refresh: true }));
+            } catch (err) {
+                this.sendInfoError(res, err);
+            }
+        });
+
+        // Every open engine, for the admin dashboard (relayed by GET /api/movies/admin/torrents/status)
+        this.app.get('/internal/status', (req, res) => {
+            this.sendStatusEvents(req, res, () => ({
+                engines: [...this.engines.values()].map(record => this.getEngineStatus(record)),
+                cache: this.cache.getStats()
+            }));
+        });
+
+        // Pinned downloads (admin only, reached through /api/movies/:id/pin on the main server)
+        this.app.get('/internal/pins', (req, res) => {
+            res.json({
+                pins: this.cache.getPinned().map(entry => this.getPinStatus(entry))
             });
+        });
 
-            engine.on('error', (err) => {
-                console.error('Engine error:', err);
-                if (!res.headersSent) {
-                    res.status(500).json({ error: err.message });
+        this.app.post('/internal/pins/:magnetHash', (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const infoHash = this.pinTorrent(magnetHash);
+            res.status(202).json(this.getPinStatus(this.cache.getOrCreateEntry(infoHash)));
+        });
+
+        this.app.delete('/internal/pins/:magnetHash', (req, res) => {
+            const magnetHash = decodeURIComponent(req.params.magnetHash);
+            const infoHash = infoHashFromMagnet(magnetHash);
+
+            if (!infoHash || !this.cache.isPinned(infoHash)) {
+                return res.status(404).json({ error: 'Torrent is not pinned' });
+            }
+
+            this.unpinTorrent(infoHash);
+            res.json({ success: true, infoHash });
+        });
+    }
+
+    async getTorrentInfo(magnetHash, { refresh = false, timeoutMs = 30000 } = {}) {
+        if (!refresh) {
+            try {
+                const stored = await this.infoStore.get(infoHashFromMagnet(magnetHash));
+                if (stored) {
+                    console.log(`💾 Torrent info served from cache: ${stored.name}`);
+                    return stored;
+                }
+            } catch (error) {
+                // Without the database we can still ask the swarm
+                console.warn('⚠️ Failed to read torrent info cache:', error.message);
+            }
+        }
+
+        // Uses the shared engine, so the stream request that usually follows finds it ready
+        const { engine, release } = this.engines.acquire(magnetHash);
+
+        let info;
+        try {
+            await this.engines.whenReady(engine, timeoutMs);
+
+            info = {
+                name: engine.torrent.name || 'Unknown',
+                infoHash: engine.infoHash,
+                length: engine.torrent.length,
+                ...this.describeFiles(engine.files.map((file, index) => ({
+                    name: file.name,
+                    length: file.length,
+                    index
+                })))
+            };
+        } finally {
+            release();
+        }
+
+        try {
+            await this.infoStore.save(info, engine.files.length);
+        } catch (error) {
+            console.warn('⚠️ Failed to store torrent info:', error.message);
+        }
+
+        return info;
+    }
+
+    // All sources are checked at once and the first in order that works wins, so dead sources
+    // cost no more time than the slowest check. Sources the health checker has flagged dead go
+    // last rather than being dropped, since that was hours ago and one of them may still be the best there is.
+    async resolveSource(sources) {
+        let deadHashes = new Set();
+        try {
+            const result = await pool.query(
+                'SELECT info_hash FROM torrent_health WHERE is_dead AND info_hash = ANY($1)',
+                [sources.map(source => infoHashFromMagnet(source.magnet))]
+            );
+            deadHashes = new Set(result.rows.map(row => row.info_hash));
+        } catch (error) {
+            console.warn('⚠️ Failed to read torrent health:', error.message);
+        }
+
+        const order = sources
+            .map((source, index) => ({ ...source, index, infoHash: infoHashFromMagnet(source.magnet) }))
+            .sort((a, b) => deadHashes.has(a.infoHash) - deadHashes.has(b.infoHash));
+
+        const results = new Array(order.length).fill(null); // { info } or { reason } once settled
+        const checks = order.map((source, position) => this.checkSource(source).then(
+            (info) => { results[position] = { info }; },
+            (error) => { results[position] = { reason: error.status === 408 ? 'Metadata timeout' : error.message }; }
+        ));
+
+        let timer = null;
+        const deadline = new Promise(resolve => { timer = setTimeout(resolve, SOURCE_RESOLVE_TIMEOUT); });
+
+        // Wait for each source in order until one works; past the deadline, settle for what's in
+        let picked = null;
+        try {
+            for (let position = 0; position < order.length && picked === null; position++) {
+                await Promise.race([checks[position], deadline]);
+                if (!results[position]) break;
+                if (results[position].info) picked = position;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+        if (picked === null) {
+            const ready = results.findIndex(result => result && result.info);
+            picked = ready === -1 ? null : ready;
+        }
+
+        const skipped = [];
+        order.forEach((source, position) => {
+            if (position === picked) return;
+
+            if (picked === null || position < picked) {
+                const reason = results[position] ? results[position].reason : 'Timed out';
+                console.warn(`⚠️ Source ${source.index} unavailable (${source.infoHash}): ${reason}`);
+                skipped.push({ index: source.index, reason });
+            }
+
+            // Losing sources shouldn't keep engines searching for peers until the idle timeout
+            if (picked === null || source.infoHash !== order[picked].infoHash) {
+                checks[position].then(() => this.closeUnusedEngine(source.magnet));
+            }
+        });
+
+        if (picked === null) {
+            return { index: null, info: null, skipped };
+        }
+
+        const source = order[picked];
+        if (skipped.length > 0) {
+            console.log(`🔀 Fell back to source ${source.index} (${results[picked].info.name}) after ${skipped.length} failed`);
+        }
+        return { index: source.index, info: results[picked].info, skipped };
+    }
+
+    // Resolves with the torrent info if the source has video files and either peers or the file on disk
+    async checkSource(source) {
+        const info = await this.getTorrentInfo(source.magnet, { timeoutMs: SOURCE_METADATA_TIMEOUT });
+        if (info.files.length === 0) {
+            throw new Error('No video files in torrent');
+        }
+
+        // A file that's already on disk plays whatever the swarm looks like
+        const fileIndex = source.fileIndex != null ? parseInt(source.fileIndex) : null;
+        if (!(fileIndex !== null && this.cache.getCompletedFile(source.infoHash, fileIndex)) &&
+            !(await this.waitForPeers(source.magnet, SOURCE_PEER_TIMEOUT))) {
+            throw new Error('No peers');
+        }
+
+        return info;
+    }
+
+    // Resolves whether the engine connected to at least one peer in time
+    async waitForPeers(magnetHash, timeoutMs) {
+        const { engine, release } = this.engines.acquire(magnetHash);
+        try {
+            const deadline = Date.now() + timeoutMs;
+            while (engine.swarm.wires.length === 0 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+            return engine.swarm.wires.length > 0;
+        } finally {
+            release();
+        }
+    }
+
+    // A source that failed shouldn't keep an engine searching for peers until the idle timeout
+    closeUnusedEngine(magnetHash) {
+        const record = this.engines.peek(magnetHash);
+        if (record && record.refs === 0 && !this.isPinnedDownload(record.engine.infoHash)) {
+            this.engines.close(magnetHash);
+        }
+    }
+
+    async registerMetainfo(buffer) {
+        const metainfo = parseMetainfo(buffer);
+        await this.cache.storeMetainfo(metainfo.infoHash, buffer);
+
+        const info = {
+            name: metainfo.name,
+            infoHash: metainfo.infoHash,
+            length: metainfo.length,
+            ...this.describeFiles(metainfo.files.map(({ name, length, index }) => ({ name, length, index })))
+        };
+
+        try {
+            await this.infoStore.save(info, metainfo.files.length);
+        } catch (error) {
+            console.warn('⚠️ Failed to store torrent info:', error.message);
+        }
+
+        console.log(`📄 Registered torrent file: ${metainfo.name} (${metainfo.infoHash})`);
+        return info;
+    }
+
+    // Video files for playback and sidecar subtitles with a guessed language, from { name, length, index }
+    describeFiles(files) {
+        return {
+            files: files.filter(file => VIDEO_FILE.test(file.name)),
+            subtitles: files
+                .filter(file => subtitleFormat(file.name))
+                .map(file => ({
+                    ...file,
+                    format: subtitleFormat(file.name),
+                    ...describeSubtitleFile(file.name)
+                }))
+        };
+    }
+
+    // Whole contents of a small file (subtitles), from disk when complete or through the engine
+    async readSmallFile(magnetHash, fileIndex, maxBytes) {
+        const completed = this.cache.getCompletedFile(infoHashFromMagnet(magnetHash), fileIndex);
+        if (completed && completed.length <= maxBytes) {
+            try {
+                return { name: completed.name, buffer: await fs.promises.readFile(completed.fullPath) };
+            } catch (error) {
+                console.warn(`⚠️ Cached file unreadable, falling back to torrent: ${completed.name}`);
+            }
+        }
+
+        const { engine, release } = this.engines.acquire(magnetHash);
+        try {
+            await this.engines.whenReady(engine);
+
+            const file = engine.files[fileIndex];
+            if (!file) {
+                const error = new Error('File not found');
+                error.status = 404;
+                throw error;
+            }
+            if (file.length > maxBytes) {
+                const error = new Error('File too large');
+                error.status = 413;
+                throw error;
+            }
+
+            const chunks = [];
+            await new Promise((resolve, reject) => {
+                const stream = file.createReadStream();
+                const timeout = setTimeout(() => {
+                    stream.destroy();
+                    const error = new Error('Timed out reading file from peers');
+                    error.status = 504;
+                    reject(error);
+                }, 60000);
+
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    clearTimeout(timeout);
+                    resolve();
+                });
+                stream.on('error', (err) => {
+                    clearTimeout(timeout);
+                    reject(err);
+                });
+            });
+
+            return { name: file.name, buffer: Buffer.concat(chunks) };
+        } finally {
+            release();
+        }
+    }
+
+    // Put back .torrent files for uploaded movies whose cache directory was wiped
+    async restoreMetainfo() {
+        let rows;
+        try {
+            rows = (await pool.query('SELECT info_hash, torrent_metainfo FROM movies WHERE torrent_metainfo IS NOT NULL')).rows;
+        } catch (error) {
+            console.warn('⚠️ Failed to load torrent files:', error.message);
+            return;
+        }
+
+        for (const row of rows) {
+            if (this.cache.hasMetainfo(row.info_hash)) continue;
+
+            try {
+                await this.registerMetainfo(row.torrent_metainfo);
+            } catch (error) {
+                console.warn(`⚠️ Failed to restore torrent file for ${row.info_hash}:`, error.message);
+            }
+        }
+    }
+
+    sendInfoError(res, err) {
+        console.error('Torrent error:', err);
+        if (!res.headersSent) {
+            res.status(err.status || 500).json({
+                error: err.status === 408 ? 'Torrent info timeout' : err.message
+            });
+        }
+    }
+
+    // Download every file of the torrent ahead of time and keep it out of cache eviction
+    pinTorrent(magnetHash) {
+        const { engine } = this.engines.get(magnetHash);
+        const infoHash = engine.infoHash;
+        this.cache.setPinned(infoHash, magnetHash, true);
+
+        console.log(`📌 Pinning torrent ${infoHash}`);
+
+        engine.ready(() => {
+            // Pinning twice must not stack selections on the same engine
+            const engineData = this.engines.findByInfoHash(infoHash);
+            if (!this.cache.isPinned(infoHash) || !engineData || engineData.pinSelected) return;
+            engineData.pinSelected = true;
+
+            engine.files.forEach(file => file.select());
+
+            // torrent-stream goes idle once nothing selected is left to fetch
+            const onIdle = () => {
+                if (this.getDownloadProgress(engine).progress >= 1) {
+                    console.log(`✅ Pinned torrent fully downloaded: ${engine.torrent.name}`);
+                    this.cache.markComplete(infoHash);
+                    engine.removeListener('idle', onIdle);
                 }
+            };
+            engine.on('idle', onIdle);
+            onIdle();
+        });
+
+        return infoHash;
+    }
+
+    unpinTorrent(infoHash) {
+        this.cache.setPinned(infoHash, null, false);
+
+        const engineData = this.engines.findByInfoHash(infoHash);
+        if (engineData && engineData.pinSelected) {
+            engineData.engine.files.forEach(file => file.deselect());
+            engineData.pinSelected = false;
+        }
+
+        console.log(`📌 Unpinned torrent ${infoHash}`);
+    }
+
+    isPinnedDownload(infoHash) {
+        const entry = this.cache.entries.get(infoHash);
+        return !!entry && entry.pinned && !entry.complete;
+    }
+
+    // Resume pinned downloads that were interrupted by a restart
+    resumePinnedDownloads() {
+        if (!torrentStream) return;
+
+        for (const entry of this.cache.getPinned()) {
+            if (!entry.complete && entry.magnet) {
+                console.log(`📌 Resuming pinned download: ${entry.infoHash}`);
+                this.pinTorrent(entry.magnet);
+            }
+        }
+    }
+
+    getDownloadProgress(engine) {
+        const pieceCount = engine.torrent.pieces.length;
+        let havePieces = 0;
+        for (let i = 0; i < pieceCount; i++) {
+            if (engine.bitfield.get(i)) havePieces++;
+        }
+
+        const length = engine.torrent.length;
+        const downloaded = Math.min(length, havePieces * engine.torrent.pieceLength);
+        return { progress: havePieces / pieceCount, downloaded, length };
+    }
+
+    getPinStatus(entry) {
+        const status = {
+            infoHash: entry.infoHash,
+            magnet: entry.magnet,
+            pinned: entry.pinned,
+            state: entry.complete ? 'complete' : 'paused',
+            progress: entry.complete ? 1 : 0,
+            downloaded: entry.bytes,
+            length: null,
+            downloadSpeed: 0,
+            eta: null,
+            peers: 0
+        };
+
+        const engineData = this.engines.findByInfoHash(entry.infoHash);
+        if (!engineData) {
+            return status;
+        }
+
+        const engine = engineData.engine;
+        status.peers = engine.swarm.wires.length;
+
+        if (!engine.torrent) {
+            status.state = 'fetching-metadata';
+            return status;
+        }
+
+        const { progress, downloaded, length } = this.getDownloadProgress(engine);
+        const downloadSpeed = engine.swarm.downloadSpeed();
+
+        status.name = engine.torrent.name;
+        status.progress = progress;
+        status.downloaded = downloaded;
+        status.length = length;
+        status.downloadSpeed = downloadSpeed;
+        status.state = progress >= 1 ? 'complete' : 'downloading';
+        status.eta = progress < 1 && downloadSpeed > 0 ? Math.round((length - downloaded) / downloadSpeed) : null;
+
+        return status;
+    }
+
+    // Server-Sent Events: a status event right away, then one every STATUS_INTERVAL until the client leaves.
+    // no-transform stops compression() in the main server from holding events back.
+    sendStatusEvents(req, res, getStatus) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const send = () => {
+            try {
+                res.write(`event: status\ndata: ${JSON.stringify(getStatus())}\n\n`);
+            } catch (error) {
+                console.warn('⚠️ Failed to send torrent status:', error.message);
+            }
+        };
+
+        send();
+        const interval = setInterval(send, STATUS_INTERVAL);
+        req.on('close', () => clearInterval(interval));
+    }
+
+    // Live numbers of an open engine; downloaded counts verified pieces, so it's what's cached on disk
+    getEngineStatus({ engine, refs }) {
+        const wires = engine.swarm.wires;
+        const status = {
+            infoHash: engine.infoHash,
+            name: engine.torrent ? engine.torrent.name : null,
+            state: 'fetching-metadata',
+            peers: wires.length,
+            seeds: wires.filter(wire => wire.isSeeder).length,
+            downloadSpeed: Math.round(engine.swarm.downloadSpeed()),
+            uploadSpeed: Math.round(engine.swarm.uploadSpeed()),
+            progress: 0,
+            downloaded: 0,
+            length: null,
+            viewers: refs,
+            pinned: this.cache.isPinned(engine.infoHash)
+        };
+
+        if (engine.torrent) {
+            const { progress, downloaded, length } = this.getDownloadProgress(engine);
+            status.state = progress >= 1 ? 'complete' : 'downloading';
+            status.progress = progress;
+            status.downloaded = downloaded;
+            status.length = length;
+        }
+
+        return status;
+    }
+
+    // Torrents nobody has open only have what the disk cache knows about them
+    getTorrentStatus(infoHash) {
+        const record = this.engines.findByInfoHash(infoHash);
+        if (record) {
+            return this.getEngineStatus(record);
+        }
+
+        const entry = this.cache.getEntry(infoHash);
+        return {
+            infoHash,
+            name: null,
+            state: entry && entry.complete ? 'complete' : 'idle',
+            peers: 0,
+            seeds: 0,
+            downloadSpeed: 0,
+            uploadSpeed: 0,
+            progress: entry && entry.complete ? 1 : 0,
+            downloaded: entry ? entry.bytes : 0,
+            length: null,
+            viewers: 0,
+            pinned: !!entry && entry.pinned
+        };
+    }
+
+    // Resolves the engine and probe result behind an HLS request, or sends the error response
+    async getHlsSource(req, res) {
+        const infoHash = req.params.infoHash.toLowerCase();
+        const fileIndex = parseInt(req.params.fileIndex);
+
+        if (!/^[a-f0-9]{40}$/.test(infoHash)) {
+            res.status(400).json({ error: 'Invalid info hash' });
+            return null;
+        }
+
+        const magnetHash = this.findMagnetByInfoHash(infoHash);
+
+        try {
+            const analysis = await this.probeFile(magnetHash, fileIndex);
+            if (!analysis.duration) {
+                res.status(422).json({ error: 'Unknown media duration' });
+                return null;
+            }
+            return { infoHash, fileIndex, magnetHash, analysis };
+        } catch (error) {
+            console.error('❌ HLS probe failed:', error.message);
+            res.status(error.status || 500).json({ error: error.message });
+            return null;
+        }
+    }
+
+    // HLS URLs only carry the info hash, so reuse the engine (and its trackers) that's already open
+    findMagnetByInfoHash(infoHash) {
+        const record = this.engines.findByInfoHash(infoHash);
+        return record ? record.magnetHash : `magnet:?xt=urn:btih:${infoHash}`;
+    }
+
+    getContentType(fileName) {
+        const contentTypes = {
+            '.mp4': 'video/mp4',
+            '.m4v': 'video/mp4',
+            '.mkv': 'video/x-matroska',
+            '.webm': 'video/webm',
+            '.avi': 'video/x-msvideo',
+            '.mov': 'video/quicktime'
+        };
+        return contentTypes[path.extname(fileName).toLowerCase()] || 'video/mp4';
+    }
+
+    sendFileRange(req, res, file) {
+        const range = req.headers.range;
+        const fileSize = file.length;
+        const contentType = this.getContentType(file.name);
+
+        let stream;
+        if (range) {
+            // Handle range requests (for seeking)
+            const parts = range.replace(/bytes=/, '').split('-');
+            const start = parseInt(parts[0], 10);
+            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+            const chunkSize = (end - start) + 1;
+
+            res.writeHead(206, {
+                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+                'Accept-Ranges': 'bytes',
+                'Content-Length': chunkSize,
+                'Content-Type': contentType,
+                'Cache-Control': 'no-cache'
             });
+
+            stream = file.createReadStream({ start, end });
+        } else {
+            // Stream entire file
+            res.writeHead(200, {
+                'Content-Length': fileSize,
+                'Content-Type': contentType,
+                'Accept-Ranges': 'bytes',
+                'Cache-Control': 'no-cache'
+            });
+
+            stream = file.createReadStream();
+        }
+
+        stream.pipe(res);
+
+        stream.on('error', (err) => {
+            console.error('Stream error:', err);
+            if (!res.headersSent) res.status(500).end();
+        });
+
+        res.on('close', () => stream.destroy());
+    }
+
+    // Serve a fully verified file straight from the cache directory. Express handles ranges,
+    // ETag/Last-Modified and 304s; torrent content never changes so it can be cached for long.
+    async sendFromDisk(req, res, magnetHash, fileIndex) {
+        const infoHash = infoHashFromMagnet(magnetHash);
+        const completed = this.cache.getCompletedFile(infoHash, fileIndex);
+        if (!completed) {
+            return false;
+        }
+
+        try {
+            const stat = await fs.promises.stat(completed.fullPath);
+            if (stat.size !== completed.length) {
+                throw new Error(`size mismatch (${stat.size} != ${completed.length})`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Cached file unusable, falling back to torrent: ${completed.name} (${error.message})`);
+            this.cache.forgetCompletedFile(infoHash, fileIndex);
+            return false;
+        }
+
+        this.cache.touch(infoHash, magnetHash);
+        console.log(`💾 Serving from disk: ${completed.name}`);
+
+        res.sendFile(completed.fullPath, {
+            maxAge: '1y',
+            immutable: true,
+            headers: { 'Content-Type': this.getContentType(completed.name) }
+        }, (err) => {
+            if (err && !res.headersSent) {
+                console.error('❌ Disk stream error:', err.message);
+                res.status(err.status || 500).end();
+            }
+        });
+
+        return true;
+    }
+
+    isFileComplete(engine, file) {
+        const pieceLength = engine.torrent.pieceLength;
+        const firstPiece = Math.floor(file.offset / pieceLength);
+        const lastPiece = Math.floor((file.offset + file.length - 1) / pieceLength);
+
+        for (let i = firstPiece; i <= lastPiece; i++) {
+            if (!engine.bitfield.get(i)) return false;
+        }
+        return true;
+    }
+
+    // Record newly finished files so later requests are served from disk
+    checkCompletedFiles(engine) {
+        if (!engine.torrent) return;
+
+        engine.files.forEach((file, index) => {
+            if (!this.cache.getCompletedFile(engine.infoHash, index) && this.isFileComplete(engine, file)) {
+                this.cache.markFileComplete(engine.infoHash, index, file);
+                this.queueThumbnails(engine.infoHash, index);
+                this.queueMarkerDetection(engine.infoHash, index);
+            }
+        });
+    }
+
+    // Every video file is on disk, the engine would only be seeding
+    isTorrentFinished(engine) {
+        if (!engine.torrent) return false;
+
+        const videoFiles = engine.files
+            .map((file, index) => ({ file, index }))
+            .filter(({ file }) => VIDEO_FILE.test(file.name));
+
+        return videoFiles.length > 0 &&
+            videoFiles.every(({ index }) => this.cache.getCompletedFile(engine.infoHash, index));
+    }
+
+    // Range-serve a file through the shared engine, holding a reference until the response closes
+    async streamFromEngine(req, res, magnetHash, fileIndex) {
+        const { engine, release } = this.engines.acquire(magnetHash);
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+            release();
+        });
+
+        try {
+            await this.engines.whenReady(engine);
+        } catch (err) {
+            console.error('Engine error:', err.message);
+            if (!res.headersSent) {
+                res.status(err.status || 500).json({ error: err.message });
+            }
+            return;
+        }
+
+        // The viewer may have gone while metadata was loading
+        if (closed) return;
+
+        const file = engine.files[fileIndex];
+        if (!file) {
+            return res.status(404).send('File not found');
+        }
+
+        console.log(`📡 Streaming: ${file.name} (${file.length} bytes)`);
+        this.sendFileRange(req, res, file);
+    }
+
+    getRawUrl(magnetHash, fileIndex) {
+        return `http://127.0.0.1:${this.port}/internal/raw/${encodeURIComponent(magnetHash)}/${fileIndex}`;
+    }
+
+    async probeFile(magnetHash, fileIndex) {
+        const infoHash = infoHashFromMagnet(magnetHash);
+        const cacheKey = `${infoHash}:${fileIndex}`;
+
+        if (this.probeCache.has(cacheKey)) {
+            return this.probeCache.get(cacheKey);
+        }
+
+        if (!(await this.transcoder.isAvailable())) {
+            const error = new Error('Transcoder not available');
+            error.status = 503;
+            throw error;
+        }
+
+        // Files already on disk are probed without opening an engine
+        let file = this.cache.getCompletedFile(infoHash, fileIndex);
+        let release = () => {};
+        if (!file) {
+            const acquired = this.engines.acquire(magnetHash);
+            release = acquired.release;
+            try {
+                await this.engines.whenReady(acquired.engine);
+            } catch (error) {
+                release();
+                throw error;
+            }
+            file = acquired.engine.files[fileIndex];
+        }
+
+        let probe;
+        try {
+            if (!file) {
+                const error = new Error('File not found');
+                error.status = 404;
+                throw error;
+            }
+
+            console.log(`🔬 Probing ${file.name}...`);
+            probe = await this.transcoder.probe(this.getRawUrl(magnetHash, fileIndex));
+        } finally {
+            release();
+        }
+
+        const analysis = {
+            name: file.name,
+            ...analyzeCompatibility(probe, file.name)
+        };
+
+        this.probeCache.set(cacheKey, analysis);
+        return analysis;
+    }
+
+    // { track, language, label, codec, forced } for an embedded stream from analyzeCompatibility
+    describeEmbeddedSubtitle(subtitle) {
+        const { language, label } = describeLanguage(subtitle.language);
+        const flags = [];
+        if (subtitle.hearingImpaired) flags.push('SDH');
+        if (subtitle.forced) flags.push('Forced');
+
+        // Muxers often title tracks ("English [Signs]"); that beats a bare language name
+        let name = subtitle.title || label;
+        if (!subtitle.title && flags.length > 0) {
+            name = `${label} (${flags.join(', ')})`;
+        }
+
+        return {
+            track: subtitle.track,
+            language,
+            label: name,
+            codec: subtitle.codec,
+            forced: subtitle.forced
+        };
+    }
+
+    // { track, language, label, codec, channels, default } for an audio track from analyzeCompatibility
+    describeAudioTrack(audioTrack) {
+        const { language, label } = describeLanguage(audioTrack.language);
+        const layouts = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+        const layout = layouts[audioTrack.channels] || (audioTrack.channels ? `${audioTrack.channels}ch` : null);
+
+        // Titles like "Director's Commentary" say more than the language does
+        const name = audioTrack.title || label;
+        return {
+            track: audioTrack.track,
+            language,
+            label: layout ? `${name} (${layout})` : name,
+            codec: audioTrack.codec,
+            channels: audioTrack.channels,
+            default: audioTrack.default
+        };
+    }
+
+    getEmbeddedSubtitlePath(infoHash, fileIndex, track) {
+        return path.join(this.cache.cacheDir, 'subtitles', infoHash, `${fileIndex}-${track}.vtt`);
+    }
+
+    // Resolves with the path of the extracted WebVTT file, running ffmpeg if it isn't cached yet
+    async getEmbeddedSubtitle(magnetHash, fileIndex, track) {
+        const infoHash = infoHashFromMagnet(magnetHash);
+        const analysis = await this.probeFile(magnetHash, fileIndex);
+
+        if (!analysis.subtitles.some(subtitle => subtitle.track === track)) {
+            const error = new Error('Subtitle track not found');
+            error.status = 404;
+            throw error;
+        }
+
+        const subtitlePath = this.getEmbeddedSubtitlePath(infoHash, fileIndex, track);
+        if (fs.existsSync(subtitlePath)) {
+            return subtitlePath;
+        }
+
+        if (this.pendingSubtitles.has(subtitlePath)) {
+            return this.pendingSubtitles.get(subtitlePath);
+        }
+
+        const job = this.extractEmbeddedSubtitle(magnetHash, fileIndex, track, subtitlePath)
+            .finally(() => this.pendingSubtitles.delete(subtitlePath));
+
+        this.pendingSubtitles.set(subtitlePath, job);
+        return job;
+    }
+
+    async extractEmbeddedSubtitle(magnetHash, fileIndex, track, subtitlePath) {
+        await fs.promises.mkdir(path.dirname(subtitlePath), { recursive: true });
+
+        // Temp file first so a half-written track is never served
+        const tempPath = `${subtitlePath}.part`;
+        console.log(`💬 Extracting subtitle track ${track} from file ${fileIndex}...`);
+
+        try {
+            await this.transcoder.extractSubtitle(this.getRawUrl(magnetHash, fileIndex), track, tempPath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        await fs.promises.rename(tempPath, subtitlePath);
+        return subtitlePath;
+    }
+
+    removeEmbeddedSubtitles(infoHash) {
+        fs.promises.rm(path.join(this.cache.cacheDir, 'subtitles', infoHash), { recursive: true, force: true }).catch((err) => {
+            console.warn(`⚠️ Failed to remove extracted subtitles for ${infoHash}:`, err.message);
         });
     }
 
+    // Scrub previews need the whole file, so they're only made once it's on disk
+    queueThumbnails(infoHash, fileIndex) {
+        const file = this.cache.getCompletedFile(infoHash, fileIndex);
+        if (file && VIDEO_FILE.test(file.name)) {
+            this.thumbnails.enqueue(infoHash, fileIndex, file.fullPath);
+        }
+    }
+
+    // Intro/credits detection reads the start and end of the file, so it also waits for the whole file
+    queueMarkerDetection(infoHash, fileIndex) {
+        const file = this.cache.getCompletedFile(infoHash, fileIndex);
+        if (file && VIDEO_FILE.test(file.name)) {
+            this.markers.enqueue(infoHash, fileIndex, file.fullPath);
+            return true;
+        }
+        return false;
+    }
+
+    // Files cached before a restart (or before these jobs existed); finished work is skipped by each job
+    queueCachedFileJobs() {
+        for (const { infoHash, fileIndex } of this.cache.getCompletedFiles()) {
+            this.queueThumbnails(infoHash, fileIndex);
+            this.queueMarkerDetection(infoHash, fileIndex);
+        }
+    }
+
     setupCleanup() {
-        // Clean up inactive engines every 5 minutes
+        // Close unused engines the cache policy no longer wants open, every 5 minutes
         setInterval(() => {
-            const now = Date.now();
-            const maxAge = 10 * 60 * 1000; // 10 minutes
-
-            for (const [streamId, { engine, lastAccess }] of this.activeEngines) {
-                if (now - lastAccess > maxAge) {
-                    console.log('🧹 Cleaning up inactive stream:', streamId);
-                    engine.destroy();
-                    this.activeEngines.delete(streamId);
-                }
-            }
+            this.engines.sweep();
         }, 5 * 60 * 1000);
     }
 
+    // Cache policy for engines nobody is reading from
+    canCloseEngine({ magnetHash, engine, lastAccess }) {
+        // Pinned torrents stay open until their download has finished
+        if (this.isPinnedDownload(engine.infoHash)) return false;
+
+        this.checkCompletedFiles(engine);
+
+        if (!SEED_COMPLETED && this.isTorrentFinished(engine)) {
+            console.log(`🌱 Stopping seeding of finished torrent: ${engine.torrent.name}`);
+            this.watchProgress.delete(magnetHash);
+            return true;
+        }
+
+        // What idle engines downloaded stays on disk for the next viewer
+        const idleTime = Date.now() - lastAccess;
+        if (idleTime > ENGINE_IDLE_TIMEOUT) {
+            console.log(`💤 Closing idle engine: ${magnetHash} (${Math.round(idleTime / 60000)}m idle)`);
+            this.watchProgress.delete(magnetHash);
+            return true;
+        }
+
+        return false;
+    }
+
     startPersistentCacheManager() {
-        // Manage persistent cache every hour
+        // Check the disk quota every 10 minutes
         setInterval(() => {
-            this.cleanupPersistentCache();
-        }, 3600000); // 1 hour
+            this.cleanupPersistentCache().catch((error) => {
+                console.error('❌ Torrent cache cleanup failed:', error);
+            });
+        }, 10 * 60 * 1000);
     }
 
-    cleanupPersistentCache() {
-        const now = Date.now();
-        const twentyFourHours = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-        
-        for (const [magnetHash, { engine, lastAccess, watchProgress }] of this.persistentEngines) {
-            const timeSinceLastAccess = now - lastAccess;
-            
-            // If watched completely (90% or more), remove immediately
-            if (watchProgress >= 0.9) {
-                console.log(`🗑️ Removing completed movie from cache: ${magnetHash}`);
-                engine.destroy();
-                this.persistentEngines.delete(magnetHash);
-                this.watchProgress.delete(magnetHash);
-            }
-            // If not watched completely and older than 24 hours, remove
-            else if (timeSinceLastAccess > twentyFourHours) {
-                console.log(`🗑️ Removing old incomplete movie from cache: ${magnetHash} (${Math.round(timeSinceLastAccess / 3600000)}h old)`);
-                engine.destroy();
-                this.persistentEngines.delete(magnetHash);
-                this.watchProgress.delete(magnetHash);
-            }
-            // Keep in cache if watched partially and less than 24 hours old
-            else {
-                console.log(`💾 Keeping movie in cache: ${magnetHash} (${Math.round(timeSinceLastAccess / 3600000)}h old, ${Math.round(watchProgress * 100)}% watched)`);
-            }
+    async cleanupPersistentCache() {
+        this.engines.sweep();
+
+        await this.cache.refreshSizes();
+
+        // Open engines may still be writing, so their data is never evicted
+        const activeHashes = new Set();
+        for (const { engine } of this.engines.values()) {
+            activeHashes.add(engine.infoHash);
         }
+
+        const evicted = await this.cache.enforceQuota(activeHashes);
+        evicted.forEach((infoHash) => {
+            this.hls.removeCache(infoHash);
+            this.thumbnails.removeCache(infoHash);
+            this.markers.removeQueued(infoHash);
+            this.removeEmbeddedSubtitles(infoHash);
+        });
     }
 
     updateWatchProgress(magnetHash, progress) {
         // progress should be between 0 and 1 (0% to 100%)
         this.watchProgress.set(magnetHash, Math.max(0, Math.min(1, progress)));
         
-        // Update last access time for persistent engines
-        if (this.persistentEngines.has(magnetHash)) {
-            const engineData = this.persistentEngines.get(magnetHash);
-            engineData.lastAccess = Date.now();
-            engineData.watchProgress = this.watchProgress.get(magnetHash);
-            this.persistentEngines.set(magnetHash, engineData);
-        }
+        // Update last access time for the open engine
+        this.engines.touch(magnetHash);
+
+        // Watching keeps the torrent at the back of the eviction queue
+        this.cache.touch(infoHashFromMagnet(magnetHash), magnetHash);
         
         console.log(`📊 Watch progress updated for ${magnetHash}: ${Math.round(progress * 100)}%`);
     }
 
-    getOrCreatePersistentEngine(magnetHash) {
-        // Check if we already have a persistent engine for this magnet
-        if (this.persistentEngines.has(magnetHash)) {
-            const engineData = this.persistentEngines.get(magnetHash);
-            engineData.lastAccess = Date.now();
-            this.persistentEngines.set(magnetHash, engineData);
-            console.log(`♻️ Reusing persistent engine for: ${magnetHash}`);
-            return engineData.engine;
+    // Move the high-priority piece window to the viewer's position. Playback time is mapped
+    // to a byte offset assuming a roughly constant bitrate, which is close enough for a window this size.
+    prioritizePlayhead(magnetHash, fileIndex, position, duration) {
+        const record = this.engines.peek(magnetHash);
+        if (!record || !record.engine.torrent) return;
+
+        const engine = record.engine;
+        const file = engine.files[fileIndex];
+        if (!file || !(duration > 0) || isNaN(position)) return;
+
+        const pieceLength = engine.torrent.pieceLength;
+        const fraction = Math.max(0, Math.min(1, position / duration));
+        const lastPiece = Math.floor((file.offset + file.length - 1) / pieceLength);
+        const from = Math.min(lastPiece, Math.floor((file.offset + fraction * file.length) / pieceLength));
+        const to = Math.min(lastPiece, from + Math.ceil(PLAYHEAD_WINDOW_BYTES / pieceLength));
+
+        const previous = record.playheadWindow;
+        if (previous && previous.from === from && previous.to === to) return;
+
+        // torrent-stream drops a selection by itself once all its pieces are in, so this may be a no-op
+        if (previous) {
+            engine.deselect(previous.from, previous.to, PLAYHEAD_PRIORITY);
         }
 
-        // Create new persistent engine with aggressive settings
-        console.log(`🚀 Creating new persistent engine for: ${magnetHash}`);
+        engine.select(from, to, PLAYHEAD_PRIORITY);
+        engine.critical(from, Math.min(PLAYHEAD_CRITICAL_PIECES, to - from + 1));
+        record.playheadWindow = { from, to };
+    }
+
+    // Only called by this.engines; everything else goes through acquire()/get()
+    createEngine(magnetHash) {
+        // Pieces already on disk are only picked up again if torrent-stream verifies them
+        const infoHash = infoHashFromMagnet(magnetHash);
+        const cached = this.cache.hasData(infoHash);
+
+        // Create new persistent engine; what it fetches first is steered by prioritizePlayhead()
+        console.log(`🚀 Creating new persistent engine for: ${magnetHash}${cached ? ' (resuming from disk cache)' : ''}`);
         const engine = torrentStream(magnetHash, {
-            tmp: '/tmp/torrents',
-            verify: false,
+            tmp: this.cache.cacheDir,
+            verify: cached,
             dht: true,
             tracker: true,
-            // Aggressive preloading settings
-            preload: true,
-            preloadSize: 50 * 1024 * 1024, // 50MB preload buffer
             // Enhanced connection settings
             maxConns: 20,
             downloadLimit: -1, // No download limit
@@ -329,26 +1548,18 @@ class TorrentStreamingProxy {
             keepAliveInterval: 30000 // 30 seconds
         });
 
-        // Store in persistent cache
-        this.persistentEngines.set(magnetHash, {
-            engine,
-            lastAccess: Date.now(),
-            watchProgress: 0
-        });
+        this.cache.touch(engine.infoHash, magnetHash);
 
         // Add periodic status monitoring
         const statusInterval = setInterval(() => {
             try {
-                if (engine && !engine.destroyed) {
-                    const progress = engine.progress || 0;
-                    const downloadSpeed = engine.downloadSpeed || 0;
-                    const numPeers = engine.numPeers || 0;
-                    const numSeeds = engine.numSeeds || 0;
+                if (this.engines.isOpen(engine)) {
+                    const { progress, downloadSpeed, peers, seeds } = this.getEngineStatus(this.engines.peek(magnetHash));
                     
-                    console.log(`📊 Status for ${magnetHash.substring(0, 20)}...: ${Math.round(progress * 100)}% | ${this.formatBytes(downloadSpeed)}/s | Peers: ${numPeers} | Seeds: ${numSeeds}`);
+                    console.log(`📊 Status for ${magnetHash.substring(0, 20)}...: ${Math.round(progress * 100)}% | ${this.formatBytes(downloadSpeed)}/s | Peers: ${peers} | Seeds: ${seeds}`);
                     
                     // If no peers and no download for 30 seconds, log warning
-                    if (numPeers === 0 && downloadSpeed === 0) {
+                    if (peers === 0 && downloadSpeed === 0) {
                         console.warn(`⚠️ No peers available for ${magnetHash.substring(0, 20)}...`);
                     }
                 } else {
@@ -365,8 +1576,12 @@ class TorrentStreamingProxy {
             console.log(`📊 Torrent info: ${engine.torrent.name}`);
             console.log(`📁 Files: ${engine.files.length}`);
             console.log(`📦 Total size: ${this.formatBytes(engine.torrent.length)}`);
+            this.checkCompletedFiles(engine);
         });
 
+        // Nothing left to fetch, so a stream or pinned download may have just finished a file
+        engine.on('idle', () => this.checkCompletedFiles(engine));
+
         engine.on('download', () => {
             // Update progress periodically
             try {
@@ -377,7 +1592,6 @@ class TorrentStreamingProxy {
                 const numSeeds = engine.numSeeds || 0;
                 
                 if (progress > 0) {
-                    this.updateWatchProgress(magnetHash, progress);
                     console.log(`📥 Download progress: ${Math.round(progress * 100)}% | Speed: ${this.formatBytes(downloadSpeed)}/s | Peers: ${numPeers} | Seeds: ${numSeeds}`);
                 }
             } catch (error) {
@@ -404,11 +1618,20 @@ class TorrentStreamingProxy {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
     }
 
-    start(port = 7000) {
+    async start(port = 7000) {
+        this.port = port;
+        await this.cache.init();
+        await this.restoreMetainfo();
+        this.resumePinnedDownloads();
+        this.queueCachedFileJobs();
+        if (torrentStream) {
+            this.health.start();
+        }
         return new Promise((resolve, reject) => {
             try {
-                this.app.listen(port, () => {
-                    console.log(`🎬 Torrent streaming proxy running on port ${port}`);
+                // /internal/* has no auth of its own: only the main server, in this process, may reach it
+                this.app.listen(port, '127.0.0.1', () => {
+                    console.log(`🎬 Torrent streaming proxy running on 127.0.0.1:${port}`);
                     resolve();
                 });
             } catch (error) {
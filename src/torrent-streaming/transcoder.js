@@ -0,0 +1,391 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Containers and codecs browsers can play without help
+const BROWSER_CONTAINERS = ['.mp4', '.m4v', '.webm'];
+const BROWSER_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1'];
+const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis'];
+
+// MPEG-TS segments only carry these reliably in browsers (hls.js / Safari)
+const HLS_AUDIO_CODECS = ['aac', 'mp3'];
+
+// Embedded subtitle codecs ffmpeg can turn into WebVTT; bitmap ones (PGS, VobSub) can't be
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// ffprobe color_transfer values for HDR video (PQ and HLG)
+const HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+// ffmpeg/ffprobe wrapper. Any backend exposing the same methods can be registered instead.
+class FfmpegBackend {
+    constructor(options = {}) {
+        this.name = 'ffmpeg';
+        this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+        this.ffprobePath = options.ffprobePath || process.env.FFPROBE_PATH || 'ffprobe';
+        this.available = null;
+    }
+
+    isAvailable() {
+        if (this.available !== null) {
+            return Promise.resolve(this.available);
+        }
+
+        return new Promise((resolve) => {
+            const child = spawn(this.ffmpegPath, ['-version']);
+            child.on('error', () => {
+                this.available = false;
+                resolve(false);
+            });
+            child.on('close', (code) => {
+                this.available = code === 0;
+                resolve(this.available);
+            });
+        });
+    }
+
+    probe(inputUrl, timeoutMs = 60000) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.ffprobePath, [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                '-show_chapters',
+                inputUrl
+            ]);
+
+            let output = '';
+            let errorOutput = '';
+
+            const timeout = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error('Media probe timeout'));
+            }, timeoutMs);
+
+            child.stdout.on('data', (chunk) => { output += chunk; });
+            child.stderr.on('data', (chunk) => { errorOutput += chunk; });
+
+            child.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timeout);
+                if (code !== 0) {
+                    return reject(new Error(errorOutput.trim() || `ffprobe exited with code ${code}`));
+                }
+                try {
+                    resolve(JSON.parse(output));
+                } catch (error) {
+                    reject(new Error('Invalid ffprobe output'));
+                }
+            });
+        });
+    }
+
+    // Spawns ffmpeg producing fragmented MP4 on stdout, starting `start` seconds into the input.
+    // audioTrack picks among the input's audio streams (ffmpeg's 0:a:N).
+    remux(inputUrl, { start = 0, transcodeVideo = false, transcodeAudio = false, audioTrack = 0 } = {}) {
+        const args = ['-hide_banner', '-loglevel', 'error'];
+
+        if (start > 0) {
+            // Input seeking lets ffmpeg jump straight to the offset with a ranged HTTP request
+            args.push('-ss', String(start));
+        }
+
+        args.push(
+            '-i', inputUrl,
+            '-map', '0:v:0',
+            '-map', `0:a:${audioTrack}?`,
+            '-sn'
+        );
+
+        if (transcodeVideo) {
+            args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p');
+        } else {
+            args.push('-c:v', 'copy');
+        }
+
+        if (transcodeAudio) {
+            args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+        } else {
+            args.push('-c:a', 'copy');
+        }
+
+        args.push(
+            '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-f', 'mp4',
+            'pipe:1'
+        );
+
+        return spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    }
+
+    // Writes one MPEG-TS segment covering [start, start + duration) to outputPath.
+    // Video is always re-encoded: copied video can only be cut on keyframes, which leaves segments
+    // overlapping or with gaps on the playlist's fixed timeline.
+    // Passing height/videoBitrate scales the video down for a lower rendition.
+    segment(inputUrl, outputPath, { start = 0, duration, transcodeAudio = false, audioTrack = 0, height = null, videoBitrate = null, timeoutMs = 120000 } = {}) {
+        const args = ['-hide_banner', '-loglevel', 'error', '-y'];
+
+        // -copyts keeps source timestamps so segments line up on the playlist timeline
+        args.push(
+            '-ss', String(start),
+            '-i', inputUrl,
+            '-t', String(duration),
+            '-copyts',
+            '-map', '0:v:0',
+            '-map', `0:a:${audioTrack}?`,
+            '-sn'
+        );
+
+        // t is the source timestamp under -copyts, so the keyframe schedule starts at the segment's start
+        const forceKeyFrames = ['-force_key_frames', `expr:gte(t,${start}+n_forced*${duration})`];
+
+        if (height) {
+            const kbps = Math.round(videoBitrate / 1000);
+            args.push(
+                '-vf', `scale=-2:${height}`,
+                '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+                '-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`,
+                ...forceKeyFrames
+            );
+        } else {
+            args.push(
+                '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+                ...forceKeyFrames
+            );
+        }
+
+        if (transcodeAudio) {
+            args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+        } else {
+            args.push('-c:a', 'copy');
+        }
+
+        args.push('-muxdelay', '0', '-f', 'mpegts', outputPath);
+
+        return this.run(args, timeoutMs);
+    }
+
+    // Writes the track-th subtitle stream of the input to outputPath as WebVTT.
+    // Subtitle packets are interleaved through the whole file, so this reads all of it.
+    extractSubtitle(inputUrl, track, outputPath, timeoutMs = 600000) {
+        return this.run([
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', inputUrl,
+            '-map', `0:s:${track}`,
+            '-c:s', 'webvtt',
+            '-f', 'webvtt',
+            outputPath
+        ], timeoutMs);
+    }
+
+    // Writes sprite sheets of frames taken every interval seconds to outputPattern (an image2
+    // pattern like sprite-%d.jpg, numbered from 0), columns x rows thumbnails per sheet.
+    // Only keyframes are decoded, which keeps a whole movie affordable; each frame is the nearest keyframe.
+    thumbnails(inputUrl, outputPattern, { interval, width, height, columns, rows, timeoutMs = 1800000 }) {
+        return this.run([
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-skip_frame', 'nokey',
+            '-i', inputUrl,
+            '-map', '0:v:0',
+            '-vf', `fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`,
+            '-an', '-sn',
+            '-q:v', '5',
+            '-start_number', '0',
+            outputPattern
+        ], timeoutMs);
+    }
+
+    // Black stretches in [start, start + duration) of the input, as [{ start, end }] in input time.
+    // pictureThreshold is the share of a frame that has to be black for it to count.
+    detectBlack(inputUrl, { start = 0, duration, minDuration = 0.5, pictureThreshold = 0.98, timeoutMs = 900000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const args = ['-hide_banner', '-nostats', '-ss', String(start), '-i', inputUrl];
+            if (duration) {
+                args.push('-t', String(duration));
+            }
+            args.push(
+                '-map', '0:v:0',
+                '-vf', `blackdetect=d=${minDuration}:pic_th=${pictureThreshold}:pix_th=0.10`,
+                '-an', '-sn',
+                '-f', 'null', '-'
+            );
+
+            const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let errorOutput = '';
+
+            const timeout = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error('Black frame detection timeout'));
+            }, timeoutMs);
+
+            // blackdetect reports on stderr; timestamps restart at 0 after input seeking
+            child.stderr.on('data', (chunk) => { errorOutput += chunk; });
+
+            child.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timeout);
+                if (code !== 0) {
+                    return reject(new Error(errorOutput.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+                }
+
+                const stretches = [];
+                const pattern = /black_start:([\d.]+) black_end:([\d.]+)/g;
+                let match;
+                while ((match = pattern.exec(errorOutput)) !== null) {
+                    stretches.push({ start: start + parseFloat(match[1]), end: start + parseFloat(match[2]) });
+                }
+                resolve(stretches);
+            });
+        });
+    }
+
+    run(args, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let errorOutput = '';
+
+            const timeout = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error('ffmpeg timeout'));
+            }, timeoutMs);
+
+            child.stderr.on('data', (chunk) => { errorOutput += chunk; });
+
+            child.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timeout);
+                if (code !== 0) {
+                    return reject(new Error(errorOutput.trim() || `ffmpeg exited with code ${code}`));
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+const backends = new Map([
+    ['ffmpeg', FfmpegBackend]
+]);
+
+function registerBackend(name, Backend) {
+    backends.set(name, Backend);
+}
+
+function createTranscoder(name = process.env.TRANSCODER_BACKEND || 'ffmpeg', options = {}) {
+    const Backend = backends.get(name);
+    if (!Backend) {
+        throw new Error(`Unknown transcoder backend: ${name}`);
+    }
+    return new Backend(options);
+}
+
+// PQ (HDR10, HDR10+) and HLG transfer curves, or a Dolby Vision configuration record
+function isHdrStream(stream) {
+    if (HDR_TRANSFERS.includes(stream.color_transfer)) return true;
+    return (stream.side_data_list || []).some(data => /dovi/i.test(data.side_data_type || ''));
+}
+
+// Summarise an ffprobe result and decide what the browser needs done to it
+function analyzeCompatibility(probe, fileName) {
+    const streams = probe.streams || [];
+    const videoStream = streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    const audioStreams = streams.filter(s => s.codec_type === 'audio');
+    // The container's default track is what players get unless they ask for another
+    const audioStream = audioStreams.find(s => s.disposition && s.disposition.default) || audioStreams[0];
+    const ext = path.extname(fileName || '').toLowerCase();
+
+    const videoCodec = videoStream ? videoStream.codec_name : null;
+    const audioCodec = audioStream ? audioStream.codec_name : null;
+
+    const transcodeVideo = !!videoCodec && !BROWSER_VIDEO_CODECS.includes(videoCodec);
+    const transcodeAudio = !!audioCodec && !BROWSER_AUDIO_CODECS.includes(audioCodec);
+    const nativeContainer = BROWSER_CONTAINERS.includes(ext);
+
+    // track is the position among audio streams, which is what ffmpeg's 0:a:N selects
+    const audioTracks = audioStreams.map((s, track) => ({
+        track,
+        codec: s.codec_name,
+        channels: s.channels || null,
+        language: (s.tags && s.tags.language) || null,
+        title: (s.tags && s.tags.title) || null,
+        default: s === audioStream,
+        transcode: !BROWSER_AUDIO_CODECS.includes(s.codec_name)
+    }));
+
+    // track is the position among all subtitle streams, which is what ffmpeg's 0:s:N selects
+    const subtitles = streams
+        .filter(s => s.codec_type === 'subtitle')
+        .map((s, track) => ({
+            track,
+            codec: s.codec_name,
+            language: (s.tags && s.tags.language) || null,
+            title: (s.tags && s.tags.title) || null,
+            forced: !!(s.disposition && s.disposition.forced),
+            hearingImpaired: !!(s.disposition && s.disposition.hearing_impaired)
+        }))
+        .filter(s => TEXT_SUBTITLE_CODECS.includes(s.codec));
+
+    // Chapter lists from the container (MKV, MP4); untitled ones get a number
+    const chapters = (probe.chapters || [])
+        .map((c, index) => ({
+            start: parseFloat(c.start_time),
+            end: parseFloat(c.end_time) || null,
+            title: ((c.tags && c.tags.title) || '').trim() || `Chapter ${index + 1}`
+        }))
+        .filter(c => Number.isFinite(c.start) && c.start >= 0);
+
+    return {
+        duration: parseFloat(probe.format && probe.format.duration) || null,
+        bitrate: parseInt(probe.format && probe.format.bit_rate) || null,
+        container: probe.format ? probe.format.format_name : null,
+        video: videoStream ? {
+            codec: videoCodec,
+            width: videoStream.width || null,
+            height: videoStream.height || null,
+            hdr: isHdrStream(videoStream)
+        } : null,
+        audio: audioStream ? {
+            codec: audioCodec,
+            channels: audioStream.channels || null,
+            track: audioStreams.indexOf(audioStream)
+        } : null,
+        audioTracks,
+        subtitles,
+        chapters,
+        transcodeVideo,
+        transcodeAudio,
+        browserPlayable: nativeContainer && !transcodeVideo && !transcodeAudio,
+        needsRemux: !nativeContainer || transcodeVideo || transcodeAudio
+    };
+}
+
+// What has to be re-encoded before the streams fit in MPEG-TS segments; video always is, see segment()
+function planHls(analysis) {
+    return {
+        transcodeAudio: !!analysis.audio && !HLS_AUDIO_CODECS.includes(analysis.audio.codec)
+    };
+}
+
+function isBrowserContainer(fileName) {
+    return BROWSER_CONTAINERS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+module.exports = {
+    FfmpegBackend,
+    registerBackend,
+    createTranscoder,
+    analyzeCompatibility,
+    planHls,
+    isBrowserContainer
+};